@@ -0,0 +1,143 @@
+// ============================================================
+// FLORES & BOXES — Migración: pedidos y leads → clientes
+// ============================================================
+// Creates a customer per email (phone for email-less orders) from existing orders and
+// leads, saves their delivery addresses, links orders through customerId and recomputes
+// the lead 'buyer' tag from paid orders. Safe to run more than once.
+//
+//   node scripts/migrate-customers.js            # aplica los cambios
+//   node scripts/migrate-customers.js --dry-run  # solo muestra qué haría
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/floresboxes';
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAID_STATUSES = ['approved', 'partially_refunded']; // Igual que en server.js
+const MAX_SAVED_ADDRESSES = 10;
+
+function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+function addressKey({ address, barrio }) {
+  return `${normalize(address)}|${normalize(barrio)}`;
+}
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  const db = mongoose.connection.db;
+  const orders = db.collection('orders');
+  const leads = db.collection('leads');
+  const customers = db.collection('customers');
+
+  // 1. One entry per email (or phone), oldest order first so the latest data wins
+  const byKey = new Map();
+  const entryFor = key => {
+    if (!byKey.has(key)) byKey.set(key, { addresses: [], orderIds: [], createdAt: null });
+    return byKey.get(key);
+  };
+
+  for await (const order of orders.find({}, { sort: { createdAt: 1 } })) {
+    const c = order.customer || {};
+    const email = normalize(c.email);
+    const key = email ? `email:${email}` : c.phone ? `phone:${c.phone}` : null;
+    if (!key) continue;
+
+    const entry = entryFor(key);
+    if (email) entry.email = email;
+    if (c.phone) entry.phone = c.phone;
+    if (c.name) entry.name = c.name;
+    entry.createdAt = entry.createdAt || order.createdAt;
+    entry.orderIds.push(order._id);
+    if (c.address && c.barrio && !entry.addresses.some(a => addressKey(a) === addressKey(c))) {
+      entry.addresses.push({ name: c.name, phone: c.phone, address: c.address, barrio: c.barrio });
+    }
+  }
+
+  for await (const lead of leads.find({ email: { $nin: [null, ''] } })) {
+    const email = normalize(lead.email);
+    const entry = entryFor(`email:${email}`);
+    entry.email = email;
+    entry.name = entry.name || lead.name;
+    if (!entry.createdAt || (lead.createdAt && lead.createdAt < entry.createdAt)) entry.createdAt = lead.createdAt;
+  }
+
+  // 2. Upsert customers, merging addresses with the ones already saved
+  let created = 0;
+  let updated = 0;
+  let linkedOrders = 0;
+  for (const entry of byKey.values()) {
+    const existing = entry.email
+      ? await customers.findOne({ email: entry.email })
+      : await customers.findOne({ phone: entry.phone, email: { $exists: false } });
+
+    const addresses = existing ? [...(existing.addresses || [])] : [];
+    for (const a of entry.addresses) {
+      if (addresses.length >= MAX_SAVED_ADDRESSES) break;
+      if (!addresses.some(saved => addressKey(saved) === addressKey(a))) {
+        addresses.push({ _id: new mongoose.Types.ObjectId(), ...a });
+      }
+    }
+
+    let customerId = existing && existing._id;
+    if (existing) {
+      updated++;
+      if (!DRY_RUN) {
+        await customers.updateOne({ _id: existing._id }, { $set: {
+          addresses,
+          name: existing.name || entry.name,
+          phone: existing.phone || entry.phone,
+        }});
+      }
+    } else {
+      created++;
+      customerId = new mongoose.Types.ObjectId();
+      if (!DRY_RUN) {
+        await customers.insertOne({
+          _id: customerId,
+          ...(entry.email ? { email: entry.email } : {}),
+          phone: entry.phone,
+          name: entry.name,
+          addresses,
+          createdAt: entry.createdAt || new Date(),
+          __v: 0,
+        });
+      }
+    }
+
+    if (entry.orderIds.length) {
+      linkedOrders += entry.orderIds.length;
+      if (!DRY_RUN) await orders.updateMany({ _id: { $in: entry.orderIds } }, { $set: { customerId } });
+    }
+  }
+
+  // 3. 'buyer' tag from real paid orders (it used to be set on every checkout)
+  const buyerEmails = new Set((await orders.distinct('customer.email', {
+    paymentStatus: { $in: PAID_STATUSES },
+  })).map(normalize));
+
+  let tagged = 0;
+  let untagged = 0;
+  for await (const lead of leads.find({}, { projection: { email: 1, tags: 1 } })) {
+    const isBuyer = buyerEmails.has(normalize(lead.email));
+    const hasTag = (lead.tags || []).includes('buyer');
+    if (isBuyer === hasTag) continue;
+    if (isBuyer) tagged++; else untagged++;
+    if (!DRY_RUN) {
+      await leads.updateOne({ _id: lead._id }, isBuyer ? { $addToSet: { tags: 'buyer' } } : { $pull: { tags: 'buyer' } });
+    }
+  }
+
+  console.log(`${DRY_RUN ? '🔎 Simulación' : '✅ Migración completa'}:`);
+  console.log(`   Clientes creados: ${created}, actualizados: ${updated}`);
+  console.log(`   Pedidos vinculados: ${linkedOrders}`);
+  console.log(`   Tag 'buyer' agregado: ${tagged}, quitado: ${untagged}`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error en la migración:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
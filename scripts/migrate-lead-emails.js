@@ -0,0 +1,76 @@
+// ============================================================
+// FLORES & BOXES — Migración: emails de leads en minúsculas
+// ============================================================
+// Leads are matched by their lowercased email, so older leads saved as "Ana@X.com" would
+// get a second "ana@x.com" lead on the next signup or import. Lowercases every lead email
+// and merges the duplicates into one lead: tags are joined, the oldest createdAt is kept
+// and an opt-out on any of them stays. Campaign deliveries are moved to the merged lead.
+// Safe to run more than once.
+//
+//   node scripts/migrate-lead-emails.js            # aplica los cambios
+//   node scripts/migrate-lead-emails.js --dry-run  # solo muestra qué haría
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/floresboxes';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+function earliest(a, b) {
+  if (!a || !b) return a || b || null;
+  return a < b ? a : b;
+}
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  const db = mongoose.connection.db;
+  const leads = db.collection('leads');
+  const deliveries = db.collection('campaigndeliveries');
+
+  const stats = { renamed: 0, merged: 0, optOutsKept: 0 };
+  const notNormalized = {
+    email: { $type: 'string' },
+    $expr: { $ne: ['$email', { $toLower: { $trim: { input: '$email' } } }] },
+  };
+
+  // Oldest first, so when none is lowercase yet the oldest lead keeps its _id
+  const renamed = new Set(); // In a dry run the renamed lead isn't in the collection
+  for (const lead of await leads.find(notNormalized).sort({ createdAt: 1 }).toArray()) {
+    const email = lead.email.trim().toLowerCase();
+    const keeper = await leads.findOne({ email });
+
+    if (!keeper && !renamed.has(email)) {
+      renamed.add(email);
+      stats.renamed++;
+      if (!DRY_RUN) await leads.updateOne({ _id: lead._id }, { $set: { email } });
+      continue;
+    }
+
+    stats.merged++;
+    if (lead.unsubscribedAt && !(keeper && keeper.unsubscribedAt)) stats.optOutsKept++;
+    if (DRY_RUN) continue;
+
+    await leads.updateOne({ _id: keeper._id }, {
+      $set: {
+        name: keeper.name || lead.name,
+        tags: [...new Set([...(keeper.tags || []), ...(lead.tags || [])])],
+        createdAt: earliest(keeper.createdAt, lead.createdAt),
+        unsubscribedAt: earliest(keeper.unsubscribedAt, lead.unsubscribedAt),
+      },
+    });
+    await deliveries.updateMany({ lead: lead._id }, { $set: { lead: keeper._id } });
+    await leads.deleteOne({ _id: lead._id });
+  }
+
+  console.log(`${DRY_RUN ? '🔎 Simulación' : '✅ Migración completa'}:`);
+  console.log(`   Leads pasados a minúsculas: ${stats.renamed}`);
+  console.log(`   Leads duplicados unidos: ${stats.merged}`);
+  console.log(`   Bajas conservadas al unir: ${stats.optOutsKept}`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error en la migración:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// ============================================================
+// FLORES & BOXES — Migración: token de seguimiento para pedidos viejos
+// ============================================================
+// Orders created before tracking links existed have no trackingToken. Gives each one a
+// random token, once, so the link in their emails and WhatsApp messages never changes.
+// Safe to run more than once.
+//
+//   node scripts/migrate-tracking-tokens.js            # aplica los cambios
+//   node scripts/migrate-tracking-tokens.js --dry-run  # solo muestra qué haría
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/floresboxes';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  const orders = mongoose.connection.db.collection('orders');
+
+  let updated = 0;
+  for await (const order of orders.find({ trackingToken: null }, { projection: { _id: 1 } })) {
+    updated++;
+    if (!DRY_RUN) {
+      // Conditional, so a token assigned meanwhile is never replaced
+      await orders.updateOne(
+        { _id: order._id, trackingToken: null },
+        { $set: { trackingToken: crypto.randomBytes(16).toString('hex') } }
+      );
+    }
+  }
+
+  console.log(`${DRY_RUN ? '🔎 Simulación' : '✅ Migración completa'}:`);
+  console.log(`   Pedidos con token nuevo: ${updated}`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error en la migración:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
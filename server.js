@@ -4,18 +4,29 @@
 // ============================================================
 
 const express = require('express');
+require('express-async-errors'); // Rejected promises in routes and middleware go to the error handler
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { MercadoPagoConfig, Preference, Payment } = require('mercadopago');
+const { MercadoPagoConfig, Preference, Payment, PaymentRefund } = require('mercadopago');
 const { OpenAI } = require('openai');
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { z } = require('zod');
+const Mustache = require('mustache');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
+
 app.use(cors({ origin: process.env.FRONTEND_URL || '*' }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } })); // dLocal firma el body crudo
+app.use(bodyParser.urlencoded({ extended: false })); // Twilio envía form-urlencoded
 app.use(express.static('public')); // Sirve el frontend
 
 // ===== CONFIG =====
@@ -25,15 +36,81 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const TWILIO_SID = process.env.TWILIO_SID;
 const TWILIO_AUTH = process.env.TWILIO_AUTH;
 const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM; // whatsapp:+14155238886
+const MP_WEBHOOK_SECRET = process.env.MP_WEBHOOK_SECRET; // Clave secreta de webhooks en el panel de MercadoPago
+const SKIP_WEBHOOK_VERIFICATION = process.env.SKIP_WEBHOOK_VERIFICATION === 'true'; // Solo desarrollo local
 const SMTP_HOST = process.env.SMTP_HOST; // smtp.brevo.com o Gmail
 const SMTP_USER = process.env.SMTP_USER;
 const SMTP_PASS = process.env.SMTP_PASS;
 const PORT = process.env.PORT || 3000;
+const RESERVATION_MINUTES = Number(process.env.RESERVATION_MINUTES) || 30; // Tiempo de retención de stock
+const ORDER_PREFIX = (process.env.ORDER_PREFIX || 'FB').toUpperCase(); // Pedidos: FB-2026-00042 (en mayúsculas, se buscan así)
+const QUEUE_POLL_MS = Number(process.env.QUEUE_POLL_MS) || 5000;
+const EMAIL_RATE_PER_MINUTE = Number(process.env.EMAIL_RATE_PER_MINUTE) || 60; // Límite del proveedor SMTP
+const WHATSAPP_RATE_PER_MINUTE = Number(process.env.WHATSAPP_RATE_PER_MINUTE) || 30;
+const EMAIL_LINK_SECRET = process.env.EMAIL_LINK_SECRET; // Firma de links de baja en los emails
+const HANDOFF_TIMEOUT_MINUTES = Number(process.env.HANDOFF_TIMEOUT_MINUTES) || 120; // Inactividad hasta volver al bot
+const HANDOFF_KEYWORDS = (process.env.HANDOFF_KEYWORDS || 'humano,hablar con una persona,hablar con alguien,asesor,operador')
+  .split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+const RECOVERY_DELAY_MINUTES = Number(process.env.RECOVERY_DELAY_MINUTES) || 60; // Checkout abandonado → recordatorio
+const RECOVERY_CANCEL_HOURS = Number(process.env.RECOVERY_CANCEL_HOURS) || 48; // Sin pago → se cancela
+const RECOVERY_COUPON_CODE = process.env.RECOVERY_COUPON_CODE; // Opcional, se ofrece en el recordatorio
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS) || 12;
+const CUSTOMER_SESSION_DAYS = Number(process.env.CUSTOMER_SESSION_DAYS) || 30;
+const LOGIN_CODE_MINUTES = Number(process.env.LOGIN_CODE_MINUTES) || 15; // Vigencia del código / magic link
+const PAYMENTS_MOCK = process.env.PAYMENTS_MOCK === 'true'; // Checkout simulado sin llamar a los proveedores (solo desarrollo)
+const DLOCAL_LOGIN = process.env.DLOCAL_LOGIN; // Tarjetas vía dLocal
+const DLOCAL_TRANS_KEY = process.env.DLOCAL_TRANS_KEY;
+const DLOCAL_SECRET_KEY = process.env.DLOCAL_SECRET_KEY;
+const DLOCAL_API_URL = process.env.DLOCAL_SANDBOX === 'true' ? 'https://sandbox.dlocal.com' : 'https://api.dlocal.com';
+const MANUAL_PAYMENT_HOLD_HOURS = Number(process.env.MANUAL_PAYMENT_HOLD_HOURS) || 48; // Transferencia: plazo para pagar; efectivo: margen después de la entrega
+const BANK_TRANSFER_INFO = process.env.BANK_TRANSFER_INFO || 'Te enviamos los datos de la cuenta por email';
+const TRUST_PROXY = process.env.TRUST_PROXY; // Detrás de un proxy: "1" (saltos) o "loopback", para que req.ip sea el del cliente
+const OPENAI_DAILY_TOKEN_BUDGET = Number(process.env.OPENAI_DAILY_TOKEN_BUDGET ?? 300000); // Tokens por día (Montevideo); 0 = sin límite
+const CAPTCHA_PROVIDER = process.env.CAPTCHA_PROVIDER || 'turnstile'; // turnstile | hcaptcha | recaptcha
+const CAPTCHA_SECRET = process.env.CAPTCHA_SECRET; // Sin clave solo se usa el honeypot
+const CAPTCHA_MIN_SCORE = Number(process.env.CAPTCHA_MIN_SCORE) || 0.5; // reCAPTCHA v3
+const WHATSAPP_CONTACT_NUMBER = process.env.WHATSAPP_CONTACT_NUMBER; // +598..., botón "Consultar por WhatsApp" en los emails
+const ADMIN_EMAIL_LANG = process.env.ADMIN_EMAIL_LANG || 'es';
+
+// Rate limits per scope and key as "cantidad/minutos"; each one can be overridden with
+// RATE_LIMIT_<SCOPE>_<KEY> (e.g. RATE_LIMIT_LEADS_IP=10/60) and "0" turns it off
+const RATE_LIMITS = parseRateLimits({
+  leads: { ip: '5/60', email: '3/1440' },
+  orders: { ip: '20/60', email: '10/60' },
+  account_login: { ip: '20/60', email: '5/15' },
+  account_verify: { ip: '30/15', email: '10/15' }, // Códigos y links de login
+  admin_login: { ip: '10/15', email: '5/15' },
+  whatsapp: { phone: '20/10' }, // Mensajes que llegan al bot
+});
+
+function parseRateLimits(defaults) {
+  const limits = {};
+  for (const [scope, keys] of Object.entries(defaults)) {
+    limits[scope] = {};
+    for (const [key, fallback] of Object.entries(keys)) {
+      const value = process.env[`RATE_LIMIT_${scope}_${key}`.toUpperCase()] || fallback;
+      const [max, minutes] = value.split('/').map(Number);
+      if (max > 0 && minutes > 0) limits[scope][key] = { max, minutes };
+    }
+  }
+  return limits;
+}
+
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 
 // ===== DB CONNECTION =====
-mongoose.connect(MONGO_URI)
-  .then(() => console.log('✅ MongoDB conectado'))
-  .catch(err => console.error('❌ MongoDB error:', err));
+// Opened from START at the bottom, so the tests can load the app without a database
+function connectDatabase() {
+  return mongoose.connect(MONGO_URI)
+    .then(async () => {
+      console.log('✅ MongoDB conectado');
+      await seedProducts();
+      await seedCoupons();
+      await seedDeliveryZones();
+      await seedOwner();
+    })
+    .catch(err => console.error('❌ MongoDB error:', err));
+}
 
 // ===== SCHEMAS =====
 const OrderSchema = new mongoose.Schema({
@@ -41,37 +118,548 @@ const OrderSchema = new mongoose.Schema({
   customer: {
     name: String, email: String, phone: String,
     address: String, barrio: String,
-    deliveryDate: String, message: String,
+    deliveryDate: String, deliverySlot: String, message: String,
+    lang: { type: String, default: 'es' }, // Idioma de los emails
   },
-  items: [{ name: String, price: Number, emoji: String, qty: Number }],
+  deliveryZone: String,
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
+  items: [{ sku: String, name: String, price: Number, emoji: String, qty: Number }],
   subtotal: Number,
+  discount: { type: Number, default: 0 },
+  coupon: {
+    code: String,
+    freeShipping: Boolean,
+    released: Boolean,
+  },
   shipping: Number,
   total: Number,
-  paymentMethod: String,
-  paymentStatus: { type: String, enum: ['pending','approved','rejected'], default: 'pending' },
+  paymentMethod: String, // Clave de PAYMENT_PROVIDERS: mercadopago, card, transfer, cash
+  source: { type: String, enum: ['web','whatsapp'], default: 'web' },
+  paymentStatus: {
+    type: String,
+    enum: ['pending','approved','rejected','partially_refunded','refunded','charged_back'],
+    default: 'pending',
+  },
   orderStatus: { type: String, enum: ['pending','confirmed','preparing','shipped','delivered','cancelled'], default: 'pending' },
+  statusHistory: [{
+    from: String,
+    to: String,
+    by: String, // Email del admin, o el sistema que hizo el cambio (checkout, mercadopago...)
+    note: String,
+    at: { type: Date, default: Date.now },
+  }],
+  // Public tracking link; the sequential orderId is guessable
+  trackingToken: { type: String, unique: true, sparse: true }, // Se asigna al crear; pedidos viejos: npm run migrate:tracking-tokens
   mpPreferenceId: String,
   mpPaymentId: String,
+  reservation: {
+    status: { type: String, enum: ['held','committed','released'] },
+    expiresAt: Date,
+  },
+  stockShortage: { type: Boolean, default: false },
+  paidAmount: Number,
+  amountMismatch: { type: Boolean, default: false },
+  mpInitPoint: String,
+  providerPaymentId: String, // Id del pago en dLocal, o quién confirmó un pago manual
+  refundedAmount: { type: Number, default: 0 },
+  refunds: [{
+    mpRefundId: String,
+    providerRefundId: String, // Id del reembolso en dLocal, o manual:<id> si se devolvió por fuera (transferencia/efectivo)
+    amount: Number,
+    reason: String,
+    by: String, // Email del admin, o 'mercadopago' si se inició desde MercadoPago
+    at: { type: Date, default: Date.now },
+  }],
+  recovery: {
+    sentAt: Date, // Recordatorio de checkout abandonado enviado
+    couponCode: String,
+    skipped: String, // Motivo si no se envió (p. ej. sin stock)
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
 const LeadSchema = new mongoose.Schema({
   name: String,
-  email: { type: String, unique: true },
+  email: { type: String, unique: true, lowercase: true, trim: true },
   source: { type: String, default: 'website' },
   tags: [String],
+  lang: { type: String, default: 'es' },
+  unsubscribedAt: Date,
   createdAt: { type: Date, default: Date.now },
 });
 
 const ChatSchema = new mongoose.Schema({
   phone: String,
-  messages: [{ role: String, content: String, timestamp: Date }],
+  profileName: String,
+  messages: [{
+    role: String, // user | assistant | tool | system (notas internas del inbox)
+    content: String,
+    sentBy: String, // Email del admin en respuestas manuales
+    toolCalls: [{ _id: false, id: String, name: String, arguments: String }], // Pedidos de herramientas del bot
+    toolCallId: String, // En role 'tool': a qué llamada responde
+    name: String,
+    timestamp: Date,
+  }],
+  cart: [{ _id: false, sku: String, qty: Number }], // Carrito que arma el bot
+  // Pedido que create_order está creando para este carrito, guardado antes de crearlo
+  pendingOrder: {
+    cartKey: String,
+    orderRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  },
+  // While active the bot stays quiet and staff answer from the inbox
+  handoff: {
+    active: { type: Boolean, default: false },
+    requestedBy: { type: String, enum: ['keyword','bot','admin'] },
+    reason: String,
+    startedAt: Date,
+    lastActivityAt: Date,
+  },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  unreadCount: { type: Number, default: 0 },
+  // OpenAI tokens spent on this conversation (from completion.usage)
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+  },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const ProductSchema = new mongoose.Schema({
+  sku: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  name: { type: String, required: true },
+  description: String,
+  price: { type: Number, required: true, min: 0 },
+  stock: { type: Number, default: 0, min: 0 }, // Unidades disponibles para la venta
+  reserved: { type: Number, default: 0, min: 0 }, // Unidades retenidas por pedidos sin pagar
+  category: { type: String, default: 'flores' },
+  images: [String],
+  emoji: String,
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+const CouponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  type: { type: String, enum: ['percentage','fixed'], required: true },
+  value: { type: Number, required: true, min: 0 }, // % o monto en UYU según type
+  minSubtotal: { type: Number, default: 0 },
+  startsAt: Date,
+  expiresAt: Date,
+  maxUses: Number, // Límite global (vacío = sin límite)
+  maxUsesPerCustomer: Number,
+  firstPurchaseOnly: { type: Boolean, default: false },
+  freeShipping: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  timesUsed: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const DeliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  barrios: [String], // Normalizados con normalizeBarrio()
+  shippingCost: { type: Number, required: true, min: 0 },
+  freeShippingFrom: Number, // Subtotal desde el que el envío es gratis (vacío = nunca)
+  sameDay: { type: Boolean, default: true },
+  available: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Single document holding the delivery calendar
+const DeliverySettingsSchema = new mongoose.Schema({
+  key: { type: String, default: 'default', unique: true },
+  slots: [{ _id: false, id: String, label: String, start: String, end: String }], // start/end en HH:MM
+  sameDayCutoff: { type: String, default: '14:00' },
+  closedWeekdays: { type: [Number], default: [0] }, // 0 = domingo
+  blackoutDates: [String], // YYYY-MM-DD (feriados)
+  maxDaysAhead: { type: Number, default: 60 },
+});
+
+const AdminUserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: String,
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ['owner','florist','marketing'], required: true },
+  active: { type: Boolean, default: true },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const AdminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }, // Mongo borra las vencidas
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Webhook deliveries already handled, so provider retries don't repeat side effects
+const WebhookEventSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['mercadopago','dlocal','twilio'], required: true },
+  eventKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 },
+});
+WebhookEventSchema.index({ provider: 1, eventKey: 1 }, { unique: true });
+
+// Atomic sequences, one document per name (e.g. "order-2026")
+const CounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 },
+});
+
+// Outbound email/WhatsApp message, delivered by the queue worker with retries
+const MessageJobSchema = new mongoose.Schema({
+  channel: { type: String, enum: ['email','whatsapp'], required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Argumentos de sendMail / messages.create
+  context: String, // Qué lo originó, p. ej. "order:FB-2026-00042" o "campaign:<id>"
+  delivery: { type: mongoose.Schema.Types.ObjectId, ref: 'CampaignDelivery' },
+  status: { type: String, enum: ['pending','processing','sent','dead'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 6 },
+  runAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: String,
+  sentAt: { type: Date, expires: 60 * 60 * 24 * 30 }, // Los enviados se borran a los 30 días
+  createdAt: { type: Date, default: Date.now },
+});
+MessageJobSchema.index({ status: 1, channel: 1, runAt: 1 });
+
+// Audience rules; every rule is optional and they are ANDed
+const SEGMENT_RULES = {
+  tags: [String], // Debe tener todas
+  excludeTags: [String],
+  sources: [String],
+  signedUpAfter: Date,
+  signedUpBefore: Date,
+  minOrders: Number, // Pedidos aprobados
+  maxOrders: Number,
+  lastOrderAfter: Date,
+  lastOrderBefore: Date,
+};
+
+const SegmentSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: String,
+  rules: SEGMENT_RULES,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const CampaignSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  segment: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+  rules: SEGMENT_RULES, // Segmento inline si no hay `segment`
+  status: { type: String, enum: ['draft','scheduled','sending','sent'], default: 'draft' },
+  scheduledAt: Date,
+  sentAt: Date,
+  links: [String], // URLs originales; los clicks redirigen por índice
+  recipients: { type: Number, default: 0 },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+const CampaignDeliverySchema = new mongoose.Schema({
+  campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+  email: { type: String, required: true },
+  token: { type: String, unique: true, default: () => crypto.randomBytes(12).toString('hex') },
+  status: { type: String, enum: ['queued','sent','failed'], default: 'queued' },
+  sentAt: Date,
+  openedAt: Date,
+  openCount: { type: Number, default: 0 },
+  clickedAt: Date,
+  clickCount: { type: Number, default: 0 },
+  clickedLinks: [Number],
+  unsubscribedAt: Date,
+});
+CampaignDeliverySchema.index({ campaign: 1, email: 1 }, { unique: true });
+
+// Shopper account; orders point here through Order.customerId (matched by email, else phone)
+const CustomerSchema = new mongoose.Schema({
+  email: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
+  phone: { type: String, index: true },
+  name: String,
+  addresses: [{ // Destinatarios guardados
+    label: String, // "Casa de mamá"
+    name: String,
+    phone: String,
+    address: { type: String, required: true },
+    barrio: { type: String, required: true },
+    notes: String,
+  }],
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Passwordless login: one emailed code + magic link, single use
+const CustomerLoginSchema = new mongoose.Schema({
+  email: { type: String, required: true, index: true },
+  codeHash: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  attempts: { type: Number, default: 0 },
+  usedAt: Date,
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+const CustomerSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Admin edits of the email templates; without one the file in emails/<lang>/ is used
+const EmailTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  lang: { type: String, required: true },
+  subject: String, // Vacío en los partials
+  html: { type: String, required: true },
+  text: String, // Sin texto plano se genera desde el HTML
+  updatedBy: String,
   updatedAt: { type: Date, default: Date.now },
 });
+EmailTemplateSchema.index({ name: 1, lang: 1 }, { unique: true });
+
+// Fixed-window counters for rate limits; _id = scope:key:value:windowStart
+const RateLimitSchema = new mongoose.Schema({
+  _id: String,
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+// OpenAI tokens per day (Montevideo), _id = "2026-03-14"
+const AiUsageSchema = new mongoose.Schema({
+  _id: String,
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  requests: { type: Number, default: 0 },
+});
 
 const Order = mongoose.model('Order', OrderSchema);
 const Lead = mongoose.model('Lead', LeadSchema);
 const Chat = mongoose.model('Chat', ChatSchema);
+const Product = mongoose.model('Product', ProductSchema);
+const Coupon = mongoose.model('Coupon', CouponSchema);
+const DeliveryZone = mongoose.model('DeliveryZone', DeliveryZoneSchema);
+const DeliverySettings = mongoose.model('DeliverySettings', DeliverySettingsSchema);
+const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
+const AdminSession = mongoose.model('AdminSession', AdminSessionSchema);
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+const Counter = mongoose.model('Counter', CounterSchema);
+const MessageJob = mongoose.model('MessageJob', MessageJobSchema);
+const Segment = mongoose.model('Segment', SegmentSchema);
+const Campaign = mongoose.model('Campaign', CampaignSchema);
+const CampaignDelivery = mongoose.model('CampaignDelivery', CampaignDeliverySchema);
+const Customer = mongoose.model('Customer', CustomerSchema);
+const CustomerLogin = mongoose.model('CustomerLogin', CustomerLoginSchema);
+const CustomerSession = mongoose.model('CustomerSession', CustomerSessionSchema);
+const EmailTemplate = mongoose.model('EmailTemplate', EmailTemplateSchema);
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+const AiUsage = mongoose.model('AiUsage', AiUsageSchema);
+
+// ============================================================
+// HELPER: Validation, error responses & HTML escaping
+// ============================================================
+// Every error leaves as { error: { code, message, fields? } }. Routes validate their
+// input with validate({ body, query, params }) (zod schemas) and throw httpError()
+// for business rules; the error handler at the end of the file formats both.
+
+class ApiError extends Error {
+  constructor(status, message, { code, fields } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || 'error';
+    this.fields = fields;
+  }
+}
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'unavailable',
+};
+
+// Error carrying an HTTP status, so route handlers can answer 4xx instead of 500
+function httpError(status, message, code) {
+  return new ApiError(status, message, { code });
+}
+
+function sendError(res, status, message, { code, fields } = {}) {
+  res.status(status).json({ error: { code: code || ERROR_CODES[status] || 'error', message, fields } });
+}
+
+// ZodError / mongoose ValidationError → { 'customer.email': 'Email inválido', ... }
+function fieldErrors(err) {
+  if (err instanceof z.ZodError) {
+    return Object.fromEntries(err.issues.map(i => [i.path.join('.') || '_', i.message]));
+  }
+  return Object.fromEntries(Object.entries(err.errors || {}).map(([path, e]) => [path, e.message]));
+}
+
+// Parses req.body / req.query / req.params with zod and replaces them with the clean values
+function validate(schemas) {
+  return (req, res, next) => {
+    try {
+      for (const part of ['params', 'query', 'body']) {
+        if (schemas[part]) req[part] = schemas[part].parse(req[part] || {});
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Uruguay: 8-digit national numbers (9xxxxxxx mobile, 2/4xxxxxxx landline), written with or
+// without trunk 0 / country code. Other countries only with their "+" prefix. Invalid → null.
+function normalizePhone(phone) {
+  if (!phone) return null;
+  const raw = String(phone).replace(/^whatsapp:/, '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('00')) digits = digits.slice(2);
+  else if (!raw.startsWith('+')) {
+    if (digits.length === 9 && digits.startsWith('0')) digits = `598${digits.slice(1)}`;
+    else if (digits.length === 8) digits = `598${digits}`;
+  }
+  if (digits.startsWith('598')) return /^598[249]\d{7}$/.test(digits) ? `+${digits}` : null;
+  // Foreign numbers need their international prefix
+  const international = raw.startsWith('+') || raw.startsWith('00');
+  return international && /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[ch]);
+}
+
+// Tagged template for email HTML: every ${value} is escaped unless it is itself an html``
+// fragment (or an array of them); null/undefined/false render as nothing
+class SafeHtml {
+  constructor(text) { this.text = text; }
+  toString() { return this.text; }
+}
+
+function html(strings, ...values) {
+  const render = v => {
+    if (v === null || v === undefined || v === false) return '';
+    if (v instanceof SafeHtml) return v.text;
+    if (Array.isArray(v)) return v.map(render).join('');
+    return escapeHtml(v);
+  };
+  return new SafeHtml(strings.reduce((out, s, i) => out + s + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+// Spanish messages for the generic cases; field schemas set their own where it helps
+z.setErrorMap((issue, ctx) => {
+  if (issue.code === z.ZodIssueCode.invalid_type && issue.received === 'undefined') return { message: 'Campo obligatorio' };
+  if (issue.code === z.ZodIssueCode.unrecognized_keys) return { message: `Campos desconocidos: ${issue.keys.join(', ')}` };
+  if ([z.ZodIssueCode.invalid_type, z.ZodIssueCode.invalid_enum_value, z.ZodIssueCode.invalid_union,
+    z.ZodIssueCode.invalid_string, z.ZodIssueCode.invalid_date].includes(issue.code)) return { message: 'Valor inválido' };
+  if (issue.code === z.ZodIssueCode.too_small) return { message: issue.type === 'string' ? `Mínimo ${issue.minimum} caracteres` : `Mínimo ${issue.minimum}` };
+  if (issue.code === z.ZodIssueCode.too_big) return { message: issue.type === 'string' ? `Máximo ${issue.maximum} caracteres` : `Máximo ${issue.maximum}` };
+  return { message: ctx.defaultError };
+});
+
+// Shared field schemas
+const zText = (max = 200) => z.string().trim().max(max);
+const zEmail = z.string().trim().toLowerCase().email('Email inválido');
+const zPhone = z.string().transform((value, ctx) => {
+  const phone = normalizePhone(value);
+  if (!phone) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Teléfono inválido' });
+    return z.NEVER;
+  }
+  return phone;
+});
+const zDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Fecha inválida (AAAA-MM-DD)')
+  .refine(d => !isNaN(new Date(`${d}T12:00:00Z`)), 'Fecha inválida');
+const zObjectId = z.string().refine(id => mongoose.isValidObjectId(id), 'Id inválido');
+const zMoney = z.coerce.number().finite().min(0);
+const zBoolean = z.union([z.boolean(), z.enum(['true', 'false']).transform(v => v === 'true')]);
+const zIdParam = z.object({ id: zObjectId });
+const zList = z.string().transform(v => v.split(',').map(s => s.trim()).filter(Boolean));
+
+// ============================================================
+// HELPER: Rate limiting & bot protection
+// ============================================================
+
+// Counts one hit for scope/key/value; returns the seconds to wait if over the limit, else 0
+async function hitRateLimit(scope, key, value) {
+  const limit = RATE_LIMITS[scope] && RATE_LIMITS[scope][key];
+  if (!limit || !value) return 0;
+  const windowMs = limit.minutes * 60 * 1000;
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const expiresAt = new Date(windowStart + windowMs);
+  const counter = await RateLimit.findOneAndUpdate(
+    { _id: `${scope}:${key}:${String(value).toLowerCase()}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+  return counter.count > limit.max ? Math.ceil((expiresAt - Date.now()) / 1000) : 0;
+}
+
+// Middleware: limits by the given request values, by client IP when none are given. The IP
+// check goes first in the chain, so a flood is stopped before the captcha call or any parsing;
+// per-value ones go after validate() so values are normalized, e.g.
+//   rateLimit('leads'), verifyHuman, validate(...), rateLimit('leads', { email: req => req.body.email })
+function rateLimit(scope, getters = { ip: req => req.ip }) {
+  return async (req, res, next) => {
+    let wait = 0;
+    for (const [key, get] of Object.entries(getters)) {
+      wait = Math.max(wait, await hitRateLimit(scope, key, get(req)));
+    }
+    if (!wait) return next();
+    res.set('Retry-After', String(wait));
+    throw new ApiError(429, `Demasiados intentos. Probá de nuevo en ${Math.ceil(wait / 60)} minutos`, { code: 'rate_limited' });
+  };
+}
+
+const CAPTCHA_VERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+};
+if (CAPTCHA_SECRET && !CAPTCHA_VERIFY_URLS[CAPTCHA_PROVIDER]) console.error(`⚠️ CAPTCHA_PROVIDER desconocido: ${CAPTCHA_PROVIDER}`);
+const HONEYPOT_FIELD = 'website'; // Hidden input in the public forms; people leave it empty
+
+// Middleware for public forms. A filled honeypot gets a fake success so the bot moves on;
+// with CAPTCHA_SECRET set, the form must also send the widget's token as `captchaToken`.
+function verifyHuman(req, res, next) {
+  const body = req.body || {};
+  if (body[HONEYPOT_FIELD]) return res.json({ success: true });
+  if (!CAPTCHA_SECRET) return next();
+  return verifyCaptcha(body.captchaToken, req.ip).then(() => next());
+}
+
+async function verifyCaptcha(token, ip) {
+  if (!token) throw new ApiError(400, 'Falta completar el captcha', { code: 'captcha_required' });
+  let result;
+  try {
+    const response = await fetch(CAPTCHA_VERIFY_URLS[CAPTCHA_PROVIDER], {
+      method: 'POST',
+      body: new URLSearchParams({ secret: CAPTCHA_SECRET, response: String(token), remoteip: ip || '' }),
+      signal: AbortSignal.timeout(5000),
+    });
+    result = await response.json();
+  } catch (err) {
+    console.error('Captcha verification error:', err.message);
+    throw new ApiError(503, 'No pudimos verificar el captcha, probá de nuevo', { code: 'captcha_unavailable' });
+  }
+  // reCAPTCHA v3 also scores the request; v2 / Turnstile / hCaptcha just pass or fail
+  if (!result.success || (result.score !== undefined && result.score < CAPTCHA_MIN_SCORE)) {
+    throw new ApiError(400, 'No pudimos verificar que no seas un robot', { code: 'captcha_failed' });
+  }
+}
 
 // ===== MERCADOPAGO SETUP =====
 const mpClient = new MercadoPagoConfig({
@@ -79,6 +667,7 @@ const mpClient = new MercadoPagoConfig({
 });
 const mpPreference = new Preference(mpClient);
 const mpPayment = new Payment(mpClient);
+const mpRefund = new PaymentRefund(mpClient);
 
 // ===== OPENAI SETUP =====
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
@@ -97,371 +686,3602 @@ const transporter = nodemailer.createTransport({
 // ============================================================
 // HELPER: Generate Order ID
 // ============================================================
+// Yearly sequence from an atomic $inc: concurrent checkouts never share a number, and
+// numbers are never reused (a failed checkout just leaves a gap)
 async function generateOrderId() {
-  const count = await Order.countDocuments();
-  return `#${String(count + 1).padStart(4, '0')}`;
+  const year = montevideoNow().date.slice(0, 4);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `order-${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `${ORDER_PREFIX}-${year}-${String(counter.seq).padStart(5, '0')}`;
 }
 
-// ============================================================
-// HELPER: Send order confirmation email
-// ============================================================
-async function sendOrderEmail(order) {
-  const itemsHtml = order.items.map(i =>
-    `<tr><td>${i.emoji} ${i.name}</td><td>x${i.qty}</td><td>$${(i.price * i.qty).toLocaleString()} UYU</td></tr>`
-  ).join('');
-
-  await transporter.sendMail({
-    from: `"Flores&Boxes" <${SMTP_USER}>`,
-    to: order.customer.email,
-    subject: `🌸 ¡Pedido confirmado! ${order.orderId} - Flores&Boxes`,
-    html: `
-      <div style="font-family:sans-serif;max-width:600px;margin:0 auto;background:#FDF0F3;border-radius:20px;overflow:hidden;">
-        <div style="background:#C4607A;padding:32px;text-align:center;">
-          <h1 style="color:white;font-size:28px;margin:0;">🌸 ¡Gracias, ${order.customer.name}!</h1>
-          <p style="color:rgba(255,255,255,0.85);margin-top:8px;">Tu pedido fue confirmado</p>
-        </div>
-        <div style="padding:32px;">
-          <p>Tu pedido <strong>${order.orderId}</strong> está en preparación con todo nuestro amor 💐</p>
-          <h3 style="margin:24px 0 12px;">📦 Detalle del pedido</h3>
-          <table style="width:100%;border-collapse:collapse;">
-            <thead><tr style="background:#FDE8EE;"><th style="padding:10px;text-align:left;">Producto</th><th>Cant.</th><th>Precio</th></tr></thead>
-            <tbody>${itemsHtml}</tbody>
-          </table>
-          <div style="margin-top:20px;padding:16px;background:white;border-radius:12px;">
-            <div style="display:flex;justify-content:space-between;margin-bottom:6px;"><span>Subtotal</span><strong>$${order.subtotal.toLocaleString()} UYU</strong></div>
-            <div style="display:flex;justify-content:space-between;margin-bottom:6px;"><span>Envío</span><strong>${order.shipping === 0 ? 'Gratis 🎉' : '$'+order.shipping+' UYU'}</strong></div>
-            <div style="display:flex;justify-content:space-between;font-size:18px;font-weight:700;color:#C4607A;border-top:1px solid #eee;padding-top:12px;margin-top:6px;"><span>Total</span><span>$${order.total.toLocaleString()} UYU</span></div>
-          </div>
-          <div style="margin-top:20px;padding:16px;background:white;border-radius:12px;">
-            <h4 style="margin-bottom:8px;">🚚 Datos de entrega</h4>
-            <p>${order.customer.address}, ${order.customer.barrio}</p>
-            <p>Fecha: ${order.customer.deliveryDate}</p>
-            ${order.customer.message ? `<p>💌 Mensaje en tarjeta: "${order.customer.message}"</p>` : ''}
-          </div>
-          <div style="margin-top:28px;text-align:center;">
-            <a href="https://wa.me/59899000000" style="background:#25D366;color:white;padding:12px 28px;border-radius:50px;text-decoration:none;font-weight:600;">💬 Consultar por WhatsApp</a>
-          </div>
-        </div>
-        <div style="background:#2C2020;padding:20px;text-align:center;color:rgba(255,255,255,0.5);font-size:12px;">
-          © 2025 Flores&Boxes · Montevideo, UY
-        </div>
-      </div>
-    `,
-  });
+// Assigns a number and inserts the order, retrying on a duplicate number (e.g. the
+// concurrent upsert on a new year's counter, or a counter reset by hand)
+async function saveNewOrder(order, attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      order.orderId = await generateOrderId();
+      return await order.save();
+    } catch (err) {
+      // Only the number is retried: a duplicate _id (given by the caller) fails at once
+      const duplicate = err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.orderId);
+      if (!duplicate || attempt >= attempts) throw err;
+      console.warn(`Número de pedido ${order.orderId} duplicado, reintentando (${attempt})`);
+    }
+  }
 }
 
 // ============================================================
-// HELPER: Send admin notification
+// HELPER: Product catalog
 // ============================================================
-async function notifyAdmin(order) {
-  await transporter.sendMail({
-    from: `"Flores&Boxes Sistema" <${SMTP_USER}>`,
-    to: process.env.ADMIN_EMAIL,
-    subject: `🛒 Nuevo pedido ${order.orderId} - $${order.total.toLocaleString()} UYU`,
-    html: `
-      <h2>Nuevo pedido recibido</h2>
-      <p><strong>Cliente:</strong> ${order.customer.name} (${order.customer.email})</p>
-      <p><strong>Teléfono:</strong> ${order.customer.phone}</p>
-      <p><strong>Total:</strong> $${order.total.toLocaleString()} UYU</p>
-      <p><strong>Método de pago:</strong> ${order.paymentMethod}</p>
-      <p><strong>Entrega:</strong> ${order.customer.address}, ${order.customer.barrio} — ${order.customer.deliveryDate}</p>
-      <p><strong>Productos:</strong> ${order.items.map(i => `${i.name} x${i.qty}`).join(', ')}</p>
-    `,
-  });
-}
 
-// ============================================================
-//  ROUTES — ORDERS
-// ============================================================
+// Initial catalog, only used to seed an empty products collection
+const DEFAULT_PRODUCTS = [
+  { sku: 'RAMO-PRIMAVERAL', name: 'Ramo Primaveral', price: 890, stock: 20, emoji: '💐', category: 'ramos' },
+  { sku: 'BOX-ROMANTICA', name: 'Box Romántica', price: 1590, stock: 10, emoji: '💝', category: 'boxes' },
+  { sku: 'ROSAS-ROJAS-12', name: '12 Rosas Rojas', price: 1290, stock: 15, emoji: '🌹', category: 'rosas' },
+  { sku: 'BOX-SPA-RELAX', name: 'Box Spa & Relax', price: 1890, stock: 8, emoji: '🧴', category: 'boxes' },
+  { sku: 'GIRASOLES-ALEGRES', name: 'Girasoles Alegres', price: 790, stock: 20, emoji: '🌻', category: 'ramos' },
+  { sku: 'ROSAS-ETERNAS-LILA', name: 'Rosas Eternas Lila', price: 2490, stock: 5, emoji: '🌸', category: 'rosas' },
+];
 
-// POST /api/orders — Create order
-app.post('/api/orders', async (req, res) => {
-  try {
-    const { customer, items, paymentMethod } = req.body;
-    const subtotal = items.reduce((s, i) => s + i.price * i.qty, 0);
-    const shipping = subtotal >= 2000 ? 0 : 150;
-    const total = subtotal + shipping;
-    const orderId = await generateOrderId();
-
-    const order = new Order({
-      orderId, customer, items, subtotal, shipping, total, paymentMethod,
-    });
+const CATALOG_URL = `${process.env.FRONTEND_URL}/#productos`;
 
-    if (paymentMethod === 'mercadopago') {
-      // Create MercadoPago preference
-      const preference = await mpPreference.create({
-        body: {
-          external_reference: orderId,
-          items: items.map(i => ({
-            id: i.name.replace(/\s/g, '_'),
-            title: i.name,
-            quantity: i.qty,
-            currency_id: 'UYU',
-            unit_price: i.price,
-          })),
-          payer: {
-            name: customer.name,
-            email: customer.email,
-            phone: { number: customer.phone },
-          },
-          back_urls: {
-            success: `${process.env.FRONTEND_URL}/success`,
-            failure: `${process.env.FRONTEND_URL}/failure`,
-            pending: `${process.env.FRONTEND_URL}/pending`,
-          },
-          auto_return: 'approved',
-          notification_url: `${process.env.BACKEND_URL}/api/mp-webhook`,
-          shipments: {
-            cost: shipping,
-            mode: 'not_specified',
-          },
-        },
-      });
+async function seedProducts() {
+  if (await Product.estimatedDocumentCount() > 0) return;
+  await Product.insertMany(DEFAULT_PRODUCTS);
+  console.log(`🌱 Catálogo inicial cargado (${DEFAULT_PRODUCTS.length} productos)`);
+}
 
-      order.mpPreferenceId = preference.id;
-      await order.save();
+// Prices cart items from the catalog; client-sent prices are ignored
+async function priceOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'El pedido no tiene productos');
+  }
 
-      // Save lead
-      await Lead.findOneAndUpdate(
-        { email: customer.email },
-        { name: customer.name, email: customer.email, source: 'checkout', tags: ['buyer'] },
-        { upsert: true, new: true }
-      );
+  const skus = items.map(i => String(i.sku || '').toUpperCase());
+  const products = await Product.find({ sku: { $in: skus } });
+  const bySku = new Map(products.map(p => [p.sku, p]));
 
-      return res.json({
-        success: true,
-        orderId,
-        mpInitPoint: preference.init_point, // Redirect here for payment
-        preferenceId: preference.id,
-      });
+  return items.map((item, idx) => {
+    const product = bySku.get(skus[idx]);
+    if (!product) throw httpError(400, `Producto desconocido: ${item.sku}`);
+    if (!product.active) throw httpError(400, `Producto no disponible: ${product.name}`);
+
+    const qty = Number(item.qty);
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw httpError(400, `Cantidad inválida para ${product.name}`);
     }
 
-    // Card payment (Stripe/dLocal for UY)
-    order.paymentStatus = 'approved';
-    order.orderStatus = 'confirmed';
-    await order.save();
+    return { sku: product.sku, name: product.name, price: product.price, emoji: product.emoji, qty };
+  });
+}
 
-    await sendOrderEmail(order);
-    await notifyAdmin(order);
+// ============================================================
+// HELPER: Inventory reservations
+// ============================================================
+// Stock is taken out of `stock` into `reserved` when the order is created,
+// then either committed (payment approved) or returned (rejected/expired/cancelled).
 
-    // Save lead
-    await Lead.findOneAndUpdate(
-      { email: customer.email },
-      { name: customer.name, email: customer.email, source: 'checkout', tags: ['buyer'] },
-      { upsert: true, new: true }
+// Atomically holds stock for every item; all-or-nothing
+async function reserveStock(items) {
+  const held = [];
+  for (const item of items) {
+    const product = await Product.findOneAndUpdate(
+      { sku: item.sku, active: true, stock: { $gte: item.qty } },
+      { $inc: { stock: -item.qty, reserved: item.qty } },
+      { new: true }
     );
+    if (!product) {
+      await unreserveStock(held);
+      throw httpError(409, `Sin stock suficiente de ${item.name}`);
+    }
+    held.push(item);
+  }
+}
 
-    res.json({ success: true, orderId });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+async function unreserveStock(items) {
+  for (const item of items) {
+    await Product.updateOne({ sku: item.sku }, { $inc: { stock: item.qty, reserved: -item.qty } });
   }
-});
+}
 
-// GET /api/orders — List all (admin)
-app.get('/api/orders', async (req, res) => {
-  const orders = await Order.find().sort({ createdAt: -1 });
-  res.json(orders);
-});
+// Payment approved: held units leave `reserved` for good
+async function commitReservation(order) {
+  const prev = await Order.findOneAndUpdate(
+    { _id: order._id, 'reservation.status': { $in: ['held', 'released'] } },
+    { 'reservation.status': 'committed' }
+  );
+  if (!prev) return;
 
-// GET /api/orders/:id
-app.get('/api/orders/:id', async (req, res) => {
-  const order = await Order.findOne({ orderId: req.params.id });
-  if (!order) return res.status(404).json({ error: 'Not found' });
-  res.json(order);
-});
+  if (prev.reservation.status === 'held') {
+    for (const item of prev.items) {
+      await Product.updateOne({ sku: item.sku }, { $inc: { reserved: -item.qty } });
+    }
+    return;
+  }
 
-// PATCH /api/orders/:id/status
-app.patch('/api/orders/:id/status', async (req, res) => {
-  const { status } = req.body;
-  const order = await Order.findOneAndUpdate(
-    { orderId: req.params.id },
-    { orderStatus: status },
-    { new: true }
+  // The hold had already expired: take the stock again, flag the order if it's gone
+  let shortage = false;
+  for (const item of prev.items) {
+    const product = await Product.findOneAndUpdate(
+      { sku: item.sku, stock: { $gte: item.qty } },
+      { $inc: { stock: -item.qty } }
+    );
+    if (!product) shortage = true;
+  }
+  if (shortage) {
+    await Order.updateOne({ _id: order._id }, { stockShortage: true });
+    console.warn(`⚠️ Pedido ${order.orderId} pagado sin stock suficiente`);
+  }
+}
+
+// Rejected, expired or cancelled: give the units back
+async function releaseReservation(order) {
+  const prev = await Order.findOneAndUpdate(
+    { _id: order._id, 'reservation.status': { $in: ['held', 'committed'] } },
+    { 'reservation.status': 'released' }
   );
-  res.json(order);
-});
+  if (!prev) return;
+
+  for (const item of prev.items) {
+    const inc = prev.reservation.status === 'held'
+      ? { stock: item.qty, reserved: -item.qty }
+      : { stock: item.qty };
+    await Product.updateOne({ sku: item.sku }, { $inc: inc });
+  }
+}
+
+async function releaseExpiredReservations() {
+  const expired = await Order.find({
+    'reservation.status': 'held',
+    'reservation.expiresAt': { $lt: new Date() },
+  });
+  for (const order of expired) {
+    await releaseReservation(order);
+    await releaseCoupon(order);
+  }
+  if (expired.length) console.log(`⏰ ${expired.length} reserva(s) de stock vencida(s) liberada(s)`);
+}
 
 // ============================================================
-// MERCADOPAGO WEBHOOK
+// HELPER: Delivery zones & calendar
 // ============================================================
-app.post('/api/mp-webhook', async (req, res) => {
-  try {
-    const { type, data } = req.body;
+const TIMEZONE = 'America/Montevideo';
 
-    if (type === 'payment') {
-      const payment = await mpPayment.get({ id: data.id });
-      const orderId = payment.external_reference;
+const DEFAULT_DELIVERY_ZONES = [
+  {
+    name: 'Costa y Centro', shippingCost: 150, freeShippingFrom: 2000,
+    barrios: ['Ciudad Vieja', 'Centro', 'Cordón', 'Barrio Sur', 'Palermo', 'Parque Rodó', 'Punta Carretas',
+      'Pocitos', 'Villa Biarritz', 'Trouville', 'Buceo', 'Tres Cruces', 'La Blanqueada', 'Parque Batlle'],
+  },
+  {
+    name: 'Intermedia', shippingCost: 250, freeShippingFrom: 3000,
+    barrios: ['Malvín', 'Punta Gorda', 'Carrasco', 'Unión', 'Aguada', 'Reducto', 'Prado', 'Brazo Oriental',
+      'Larrañaga', 'La Comercial', 'Jacinto Vera', 'La Figurita', 'Atahualpa', 'Capurro', 'Malvín Norte'],
+  },
+  {
+    name: 'Periferia', shippingCost: 350, sameDay: false,
+    barrios: ['Cerro', 'La Teja', 'Belvedere', 'Sayago', 'Peñarol', 'Colón', 'Piedras Blancas', 'Maroñas',
+      'Carrasco Norte', 'Flor de Maroñas', 'Paso de la Arena', 'Casabó', 'Manga'],
+  },
+];
 
-      const newStatus = payment.status === 'approved' ? 'approved'
-        : payment.status === 'rejected' ? 'rejected' : 'pending';
+const DEFAULT_DELIVERY_SLOTS = [
+  { id: 'manana', label: '9:00 a 13:00', start: '09:00', end: '13:00' },
+  { id: 'tarde', label: '13:00 a 19:00', start: '13:00', end: '19:00' },
+];
 
-      const order = await Order.findOneAndUpdate(
-        { orderId },
-        {
-          paymentStatus: newStatus,
-          mpPaymentId: String(data.id),
-          orderStatus: newStatus === 'approved' ? 'confirmed' : 'pending',
-        },
-        { new: true }
-      );
+function normalizeBarrio(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
 
-      if (order && newStatus === 'approved') {
-        await sendOrderEmail(order);
-        await notifyAdmin(order);
-      }
-    }
+async function seedDeliveryZones() {
+  if (await DeliveryZone.estimatedDocumentCount() > 0) return;
+  await DeliveryZone.insertMany(DEFAULT_DELIVERY_ZONES.map(z => ({ ...z, barrios: z.barrios.map(normalizeBarrio) })));
+  console.log(`🚚 Zonas de envío iniciales cargadas (${DEFAULT_DELIVERY_ZONES.length})`);
+}
 
-    res.sendStatus(200);
-  } catch (err) {
-    console.error('MP webhook error:', err);
-    res.sendStatus(500);
-  }
-});
+async function getDeliverySettings() {
+  return DeliverySettings.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default', slots: DEFAULT_DELIVERY_SLOTS } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
 
-// ============================================================
-// ROUTES — LEADS
-// ============================================================
+// Current date (YYYY-MM-DD) and time (HH:MM) in Montevideo
+function montevideoNow() {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(new Date()).map(p => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
 
-// POST /api/leads
-app.post('/api/leads', async (req, res) => {
-  try {
-    const { name, email } = req.body;
-    const lead = await Lead.findOneAndUpdate(
-      { email },
-      { name, email, source: 'popup' },
-      { upsert: true, new: true }
-    );
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
 
-    // Welcome email
-    await transporter.sendMail({
-      from: `"Flores&Boxes" <${SMTP_USER}>`,
-      to: email,
-      subject: '🌸 ¡Bienvenida a Flores&Boxes!',
-      html: `
-        <div style="font-family:sans-serif;max-width:500px;margin:0 auto;">
-          <div style="background:#C4607A;padding:28px;text-align:center;border-radius:20px 20px 0 0;">
-            <h1 style="color:white;margin:0;">🌸 ¡Hola, ${name}!</h1>
-          </div>
-          <div style="padding:28px;background:#FDF0F3;border-radius:0 0 20px 20px;">
-            <p>Gracias por suscribirte. Pronto recibirás nuestras mejores ofertas y novedades.</p>
-            <p style="margin-top:16px;">Como bienvenida, acá te dejamos <strong>10% OFF en tu primera compra</strong> con el código:</p>
-            <div style="background:white;padding:16px;border-radius:12px;text-align:center;margin:20px 0;">
-              <span style="font-size:24px;font-weight:700;color:#C4607A;letter-spacing:3px;">BIENVENIDA10</span>
-            </div>
-            <a href="${process.env.FRONTEND_URL}" style="display:block;background:#C4607A;color:white;text-align:center;padding:14px;border-radius:50px;text-decoration:none;font-weight:600;">Ver productos</a>
-          </div>
-        </div>
-      `,
-    });
+// Slots still deliverable on `date` for this zone, or a reason why the date doesn't work
+function slotsForDate(settings, zone, date, now = montevideoNow()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(new Date(`${date}T12:00:00Z`))) {
+    return { error: 'Fecha de entrega inválida' };
+  }
+  if (date < now.date) return { error: 'La fecha de entrega ya pasó' };
+  if (date > addDays(now.date, settings.maxDaysAhead)) {
+    return { error: `Solo tomamos pedidos hasta ${settings.maxDaysAhead} días antes` };
+  }
+  if (settings.closedWeekdays.includes(new Date(`${date}T12:00:00Z`).getUTCDay())) {
+    return { error: 'No hacemos entregas ese día de la semana' };
+  }
+  if (settings.blackoutDates.includes(date)) return { error: 'No hacemos entregas en esa fecha' };
 
-    res.json({ success: true, lead });
-  } catch (err) {
-    if (err.code === 11000) return res.json({ success: true, message: 'Ya suscripto' });
-    res.status(500).json({ error: err.message });
+  if (date === now.date) {
+    if (!zone.sameDay) return { error: `No hay entregas en el día para la zona ${zone.name}` };
+    if (now.time >= settings.sameDayCutoff) {
+      return { error: `Los pedidos para hoy se toman hasta las ${settings.sameDayCutoff}` };
+    }
+    const slots = settings.slots.filter(slot => slot.start > now.time);
+    if (!slots.length) return { error: 'No quedan horarios disponibles para hoy' };
+    return { slots };
   }
-});
 
-// GET /api/leads — List all
-app.get('/api/leads', async (req, res) => {
-  const leads = await Lead.find().sort({ createdAt: -1 });
-  res.json(leads);
-});
+  return { slots: settings.slots };
+}
 
-// POST /api/leads/campaign — Send bulk email
-app.post('/api/leads/campaign', async (req, res) => {
-  try {
-    const { subject, html, segment } = req.body;
-    let query = {};
-    if (segment === 'buyers') query = { tags: 'buyer' };
-    if (segment === 'new') query = { tags: { $ne: 'buyer' } };
+function nextAvailableDate(settings, zone) {
+  const now = montevideoNow();
+  for (let i = 0; i <= settings.maxDaysAhead; i++) {
+    const date = addDays(now.date, i);
+    if (!slotsForDate(settings, zone, date, now).error) return date;
+  }
+  return null;
+}
 
-    const leads = await Lead.find(query);
+async function findZone(barrio) {
+  const zone = await DeliveryZone.findOne({ barrios: normalizeBarrio(barrio) });
+  if (!zone) throw httpError(400, `No hacemos envíos a ${barrio || 'ese barrio'}`);
+  if (!zone.available) throw httpError(400, `Por el momento no hay envíos a ${barrio}`);
+  return zone;
+}
 
-    // Batch send (use Brevo/Mailchimp API in production for bulk)
-    let sent = 0;
-    for (const lead of leads) {
-      await transporter.sendMail({
-        from: `"Flores&Boxes" <${SMTP_USER}>`,
-        to: lead.email,
-        subject,
-        html,
-      });
-      sent++;
-    }
+function shippingFor(zone, subtotal) {
+  return zone.freeShippingFrom != null && subtotal >= zone.freeShippingFrom ? 0 : zone.shippingCost;
+}
 
-    res.json({ success: true, sent });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Validates barrio/date/slot for checkout and returns the zone and shipping cost
+async function quoteDelivery({ barrio, deliveryDate, deliverySlot, subtotal }) {
+  const [zone, settings] = await Promise.all([findZone(barrio), getDeliverySettings()]);
+
+  const { slots, error } = slotsForDate(settings, zone, deliveryDate);
+  if (error) throw httpError(400, error);
+  const slot = deliverySlot ? slots.find(s => s.id === deliverySlot) : null;
+  if (deliverySlot && !slot) throw httpError(400, 'Horario de entrega no disponible');
+
+  return { zone, slot, shipping: shippingFor(zone, subtotal) };
+}
 
 // ============================================================
-// WHATSAPP BOT (via Twilio Webhooks)
+// HELPER: Coupons
 // ============================================================
 
-const PRODUCTS_CATALOG = [
-  { name: 'Ramo Primaveral', price: 890, url: `${process.env.FRONTEND_URL}/#productos`, emoji: '💐' },
-  { name: 'Box Romántica', price: 1590, url: `${process.env.FRONTEND_URL}/#productos`, emoji: '💝' },
-  { name: '12 Rosas Rojas', price: 1290, url: `${process.env.FRONTEND_URL}/#productos`, emoji: '🌹' },
-  { name: 'Box Spa & Relax', price: 1890, url: `${process.env.FRONTEND_URL}/#productos`, emoji: '🧴' },
-  { name: 'Girasoles Alegres', price: 790, url: `${process.env.FRONTEND_URL}/#productos`, emoji: '🌻' },
-  { name: 'Rosas Eternas Lila', price: 2490, url: `${process.env.FRONTEND_URL}/#productos`, emoji: '🌸' },
-];
+// The code promised in the welcome email
+const WELCOME_COUPON = {
+  code: 'BIENVENIDA10', type: 'percentage', value: 10,
+  firstPurchaseOnly: true, maxUsesPerCustomer: 1,
+};
 
-const SYSTEM_PROMPT = `Sos la asistente de Flores&Boxes, una floristería en Montevideo, Uruguay 🌸
-Atendés por WhatsApp para ayudar a elegir flores y regalos especiales.
+async function seedCoupons() {
+  if (await Coupon.exists({ code: WELCOME_COUPON.code })) return;
+  await Coupon.create(WELCOME_COUPON);
+  console.log(`🎟️ Cupón ${WELCOME_COUPON.code} creado`);
+}
+
+// Checks every rule for the given cart/customer; throws a 400 when the code can't be used
+async function validateCoupon(code, { subtotal, customer }) {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.active) throw httpError(400, 'Cupón inválido');
+  if (coupon.startsAt && coupon.startsAt > now) throw httpError(400, 'El cupón todavía no está vigente');
+  if (coupon.expiresAt && coupon.expiresAt < now) throw httpError(400, 'El cupón está vencido');
+  if (coupon.maxUses != null && coupon.timesUsed >= coupon.maxUses) {
+    throw httpError(400, 'El cupón ya alcanzó su límite de usos');
+  }
+  if (subtotal < coupon.minSubtotal) {
+    throw httpError(400, `El cupón requiere una compra mínima de $${coupon.minSubtotal} UYU`);
+  }
+
+  const email = customer && customer.email;
+  // Every order still holding the coupon counts, paid or not: open checkouts can't stack it,
+  // while an expired or cancelled one gave the use back (see releaseCoupon)
+  if (coupon.maxUsesPerCustomer != null) {
+    const used = await Order.countDocuments({
+      'coupon.code': coupon.code,
+      'customer.email': email,
+      'coupon.released': { $ne: true },
+    });
+    if (used >= coupon.maxUsesPerCustomer) throw httpError(400, 'Ya usaste este cupón');
+  }
+  if (coupon.firstPurchaseOnly && await Order.exists({ 'customer.email': email, paymentStatus: { $in: PAID_STATUSES } })) {
+    throw httpError(400, 'El cupón es válido solo para la primera compra');
+  }
+
+  const discount = Math.min(
+    coupon.type === 'percentage' ? Math.round(subtotal * coupon.value) / 100 : coupon.value,
+    subtotal
+  );
+
+  return { coupon, discount };
+}
+
+// Counts the use atomically so the global limit holds under concurrent checkouts
+async function redeemCoupon(coupon) {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$timesUsed', '$maxUses'] } }],
+    },
+    { $inc: { timesUsed: 1 } }
+  );
+  if (!redeemed) throw httpError(400, 'El cupón ya alcanzó su límite de usos');
+}
+
+// Rejected, cancelled or expired orders give the use back (once)
+async function releaseCoupon(order) {
+  const prev = await Order.findOneAndUpdate(
+    { _id: order._id, 'coupon.code': { $exists: true }, 'coupon.released': { $ne: true } },
+    { 'coupon.released': true }
+  );
+  if (!prev) return;
+  await Coupon.updateOne({ code: prev.coupon.code, timesUsed: { $gt: 0 } }, { $inc: { timesUsed: -1 } });
+}
+
+// Paid after the hold expired: the coupon counts again, even past maxUses since the sale is made
+async function reclaimCoupon(order) {
+  const prev = await Order.findOneAndUpdate(
+    { _id: order._id, 'coupon.code': { $exists: true }, 'coupon.released': true },
+    { 'coupon.released': false }
+  );
+  if (!prev) return;
+  await Coupon.updateOne({ code: prev.coupon.code }, { $inc: { timesUsed: 1 } });
+}
+
+// Undo the stock hold and coupon use of an order that never got saved
+async function rollbackCheckout(items, coupon) {
+  await unreserveStock(items);
+  if (coupon) await Coupon.updateOne({ _id: coupon._id }, { $inc: { timesUsed: -1 } });
+}
+
+// ============================================================
+// HELPER: MercadoPago preference for an order
+// ============================================================
+// The link expires with the stock hold unless another deadline is given (recovery links)
+async function createPreference(order, expiresAt = order.reservation && order.reservation.expiresAt) {
+  const { customer, items } = order;
+  // Spread the discount over the unit prices; MercadoPago has no order-level discount line
+  const factor = order.discount ? (order.subtotal - order.discount) / order.subtotal : 1;
+
+  return mpPreference.create({
+    body: {
+      external_reference: order.orderId,
+      items: items.map(i => ({
+        id: i.sku,
+        title: i.name,
+        quantity: i.qty,
+        currency_id: 'UYU',
+        unit_price: Math.round(i.price * factor * 100) / 100,
+      })),
+      payer: {
+        name: customer.name,
+        email: customer.email,
+        phone: { number: customer.phone },
+      },
+      back_urls: {
+        success: `${process.env.FRONTEND_URL}/success`,
+        failure: `${process.env.FRONTEND_URL}/failure`,
+        pending: `${process.env.FRONTEND_URL}/pending`,
+      },
+      auto_return: 'approved',
+      notification_url: `${process.env.BACKEND_URL}/api/mp-webhook`,
+      shipments: {
+        cost: order.shipping,
+        mode: 'not_specified',
+      },
+      expires: Boolean(expiresAt),
+      expiration_date_to: expiresAt ? expiresAt.toISOString() : undefined,
+    },
+  });
+}
+
+// ============================================================
+// HELPER: Payment providers
+// ============================================================
+// Every paymentMethod maps to a provider. startCheckout(order, expiresAt) returns
+// { paymentUrl, fields } — fields are stored on the order — or, for manual providers,
+// { instructions }: those orders stay pending until an admin confirms the payment.
+//   holdUntil(customer)  when the stock hold of an unpaid order runs out
+//   cancelUnpaidAfterHours  unpaid orders older than this are cancelled (null = never)
+//   payOnDelivery  goes out unpaid: it's on the delivery manifest and can be confirmed before paying
+//   refund(order, amount, idempotencyKey)  returns { id, amount }; manual providers only record
+//     money that the shop gave back by other means
+// With PAYMENTS_MOCK=true the online providers redirect to a local page that plays
+// the provider's webhook instead (see /api/payments/mock).
+
+function mockCheckout(order) {
+  return { paymentUrl: `${process.env.BACKEND_URL}/api/payments/mock/${order.trackingToken}` };
+}
+
+// dLocal signs requests and notifications with HMAC-SHA256 of X-Login + X-Date + body
+function dlocalSignature(date, body) {
+  return crypto.createHmac('sha256', DLOCAL_SECRET_KEY).update(`${DLOCAL_LOGIN}${date}${body}`).digest('hex');
+}
+
+async function dlocalRequest(path, payload) {
+  const body = JSON.stringify(payload);
+  const date = new Date().toISOString();
+  const res = await fetch(`${DLOCAL_API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Date': date,
+      'X-Login': DLOCAL_LOGIN,
+      'X-Trans-Key': DLOCAL_TRANS_KEY,
+      'X-Version': '2.1',
+      'User-Agent': 'Flores&Boxes',
+      Authorization: `V2-HMAC-SHA256, Signature: ${dlocalSignature(date, body)}`,
+    },
+    body,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`dLocal ${res.status}: ${data.message || 'error'}`);
+  return data;
+}
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+function manualRefund(order, amount, idempotencyKey) {
+  return { id: `manual:${idempotencyKey || crypto.randomUUID()}`, amount };
+}
+
+const PAYMENT_PROVIDERS = {
+  mercadopago: {
+    label: 'MercadoPago',
+    holdUntil: () => minutesFromNow(RESERVATION_MINUTES),
+    cancelUnpaidAfterHours: RECOVERY_CANCEL_HOURS, // After the reminder, see processAbandonedCheckouts
+    async startCheckout(order, expiresAt) {
+      if (PAYMENTS_MOCK) {
+        const { paymentUrl } = mockCheckout(order);
+        return { paymentUrl, fields: { mpInitPoint: paymentUrl } };
+      }
+      const preference = await createPreference(order, expiresAt);
+      return {
+        paymentUrl: preference.init_point,
+        fields: { mpPreferenceId: preference.id, mpInitPoint: preference.init_point },
+      };
+    },
+    async refund(order, amount, idempotencyKey) {
+      if (!order.mpPaymentId) throw httpError(400, 'El pedido no tiene un pago de MercadoPago para reembolsar');
+      const requestOptions = { idempotencyKey: idempotencyKey || crypto.randomUUID() };
+      const refund = amount === refundableAmount(order)
+        ? await mpRefund.total({ payment_id: order.mpPaymentId, requestOptions })
+        : await mpRefund.create({ payment_id: order.mpPaymentId, body: { amount }, requestOptions });
+      return { id: String(refund.id), amount: refund.amount || amount };
+    },
+  },
+
+  // Cards through dLocal's hosted page (REDIRECT flow)
+  card: {
+    label: 'Tarjeta de crédito/débito',
+    holdUntil: () => minutesFromNow(RESERVATION_MINUTES),
+    cancelUnpaidAfterHours: RECOVERY_CANCEL_HOURS,
+    async startCheckout(order) {
+      if (PAYMENTS_MOCK) return mockCheckout(order);
+      if (!DLOCAL_LOGIN || !DLOCAL_TRANS_KEY || !DLOCAL_SECRET_KEY) {
+        throw httpError(503, 'El pago con tarjeta no está disponible en este momento');
+      }
+      const payment = await dlocalRequest('/payments', {
+        amount: order.total,
+        currency: 'UYU',
+        country: 'UY',
+        payment_method_flow: 'REDIRECT',
+        payer: { name: order.customer.name, email: order.customer.email, phone: order.customer.phone },
+        order_id: order.orderId,
+        description: `Pedido ${order.orderId} - Flores&Boxes`,
+        notification_url: `${process.env.BACKEND_URL}/api/dlocal-webhook`,
+        callback_url: `${process.env.FRONTEND_URL}/success`,
+      });
+      return { paymentUrl: payment.redirect_url, fields: { providerPaymentId: payment.id } };
+    },
+    async refund(order, amount) {
+      if (!order.providerPaymentId) throw httpError(400, 'El pedido no tiene un pago de dLocal para reembolsar');
+      const refund = await dlocalRequest('/refunds', {
+        payment_id: order.providerPaymentId,
+        amount,
+        currency: 'UYU',
+      });
+      return { id: String(refund.id), amount: refund.amount || amount };
+    },
+  },
+
+  transfer: {
+    label: 'Transferencia bancaria',
+    manual: true,
+    holdUntil: () => minutesFromNow(MANUAL_PAYMENT_HOLD_HOURS * 60),
+    cancelUnpaidAfterHours: MANUAL_PAYMENT_HOLD_HOURS, // Same deadline we give the customer
+    async startCheckout() {
+      return {
+        instructions: `${BANK_TRANSFER_INFO}. Tenés ${MANUAL_PAYMENT_HOLD_HOURS} horas para transferir; después el pedido se cancela.`,
+      };
+    },
+    refund: manualRefund,
+  },
+
+  // Paid at the door: the stock stays held through the delivery day and the order is never
+  // cancelled for being unpaid
+  cash: {
+    label: 'Efectivo contra entrega',
+    manual: true,
+    payOnDelivery: true,
+    holdUntil: customer => new Date(
+      // Uruguay has no daylight saving time since 2015
+      new Date(`${addDays(customer.deliveryDate, 1)}T00:00:00-03:00`).getTime() + MANUAL_PAYMENT_HOLD_HOURS * 60 * 60 * 1000
+    ),
+    cancelUnpaidAfterHours: null,
+    async startCheckout(order) {
+      return { instructions: `Pagás $${order.total.toLocaleString()} UYU en efectivo al recibir el pedido` };
+    },
+    refund: manualRefund,
+  },
+};
+
+function paymentProvider(paymentMethod) {
+  const provider = Object.prototype.hasOwnProperty.call(PAYMENT_PROVIDERS, paymentMethod)
+    && PAYMENT_PROVIDERS[paymentMethod];
+  if (!provider) throw httpError(400, `Medio de pago inválido: ${paymentMethod}`);
+  return provider;
+}
+
+// Outcome of a payment, whoever reports it: provider webhooks, the mock checkout or an
+// admin confirming a transfer/cash payment. status: approved | rejected | cancelled | pending
+async function applyPaymentResult(orderId, { status, amount, paymentId, by, note }) {
+  const existing = await Order.findOne({ orderId });
+  if (!existing) return null;
+
+  const paymentStatus = status === 'approved' ? 'approved' : status === 'rejected' ? 'rejected' : 'pending';
+  const amountMismatch = paymentStatus === 'approved' && Math.abs(amount - existing.total) > AMOUNT_TOLERANCE;
+  const update = { paymentStatus, paidAmount: amount, amountMismatch };
+  if (paymentId) update[existing.paymentMethod === 'mercadopago' ? 'mpPaymentId' : 'providerPaymentId'] = String(paymentId);
+
+  // Never let a late notification downgrade a paid or refunded order
+  const order = await Order.findOneAndUpdate(
+    { _id: existing._id, paymentStatus: { $in: ['pending', 'rejected'] } },
+    update,
+    { new: true }
+  );
+  if (!order) return null;
+
+  if (paymentStatus === 'approved') {
+    await commitReservation(order);
+    await reclaimCoupon(order);
+    await refreshBuyerTag(order.customer.email);
+    // A mismatched payment waits for manual review instead of confirming
+    if (amountMismatch) {
+      console.warn(`⚠️ Pedido ${orderId}: pagado $${amount}, total $${order.total}`);
+    } else if (order.orderStatus === 'pending') {
+      await transitionOrder(order, 'confirmed', { by, note });
+    }
+    await notifyAdmin(order);
+  }
+
+  if (['rejected', 'cancelled'].includes(status)) {
+    await releaseReservation(order);
+    await releaseCoupon(order);
+  }
+  return order;
+}
+
+// ============================================================
+// HELPER: Abandoned checkout recovery
+// ============================================================
+// MercadoPago orders still unpaid after RECOVERY_DELAY_MINUTES get one reminder with a
+// working payment link. Unpaid orders of any provider are cancelled after that provider's
+// cancelUnpaidAfterHours.
+
+async function sendRecovery(order) {
+  // Don't chase a sale we can no longer fulfil
+  const products = await Product.find({ sku: { $in: order.items.map(i => i.sku) } });
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  const held = order.reservation && order.reservation.status === 'held';
+  const soldOut = order.items.find(i => {
+    const p = bySku.get(i.sku);
+    return !p || !p.active || (!held && p.stock < i.qty);
+  });
+  if (soldOut) {
+    await Order.updateOne({ _id: order._id }, { 'recovery.skipped': `Sin stock: ${soldOut.name}` });
+    return;
+  }
+
+  let needsPreference = !order.mpInitPoint
+    || !order.reservation || !order.reservation.expiresAt || order.reservation.expiresAt < new Date();
+
+  // Optional incentive, only when the order has no coupon and the customer qualifies
+  let couponCode = null;
+  let redeemed = null;
+  if (RECOVERY_COUPON_CODE && !order.coupon.code) {
+    try {
+      const { coupon, discount } = await validateCoupon(RECOVERY_COUPON_CODE, order);
+      await redeemCoupon(coupon);
+      redeemed = coupon;
+      order.coupon = { code: coupon.code, freeShipping: coupon.freeShipping };
+      order.discount = discount;
+      if (coupon.freeShipping) order.shipping = 0;
+      order.total = order.subtotal - discount + order.shipping;
+      couponCode = coupon.code;
+      needsPreference = true;
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+    }
+  }
+
+  // Until the order is saved nothing references the coupon: a failure gives the use back,
+  // or every retry of the reminder would spend another one
+  try {
+    if (needsPreference) {
+      const deadline = new Date(order.createdAt.getTime() + RECOVERY_CANCEL_HOURS * 60 * 60 * 1000);
+      const { fields } = await PAYMENT_PROVIDERS.mercadopago.startCheckout(order, deadline);
+      Object.assign(order, fields);
+    }
+    order.recovery.couponCode = couponCode;
+    await order.save();
+  } catch (err) {
+    if (redeemed) await Coupon.updateOne({ _id: redeemed._id }, { $inc: { timesUsed: -1 } });
+    throw err;
+  }
+
+  await sendTemplateEmail('cart-recovery', { to: order.customer.email, lang: order.customer.lang }, lang => ({
+    ...orderEmailView(order, lang),
+    couponCode,
+  }), `order:${order.orderId}`);
+
+  const to = toWhatsApp(order.customer.phone);
+  if (to) {
+    await enqueueWhatsApp(
+      to,
+      `🌸 Hola ${order.customer.name}! Tu pedido ${order.orderId} quedó sin pagar.`
+        + (couponCode ? ` Te aplicamos el cupón ${couponCode}: ahora son $${order.total} UYU.` : '')
+        + `\nPodés completarlo acá: ${order.mpInitPoint}`,
+      `order:${order.orderId}`
+    );
+  }
+}
+
+async function processAbandonedCheckouts() {
+  const now = Date.now();
+  const pending = { paymentMethod: 'mercadopago', paymentStatus: 'pending', orderStatus: 'pending' };
+
+  // Claim one at a time so a second instance never sends the same reminder
+  const failed = [];
+  let order;
+  while ((order = await Order.findOneAndUpdate(
+    {
+      ...pending,
+      'recovery.sentAt': null,
+      createdAt: {
+        $lt: new Date(now - RECOVERY_DELAY_MINUTES * 60 * 1000),
+        $gt: new Date(now - RECOVERY_CANCEL_HOURS * 60 * 60 * 1000),
+      },
+    },
+    { 'recovery.sentAt': new Date() },
+    { new: true }
+  ))) {
+    try {
+      await sendRecovery(order);
+    } catch (err) {
+      console.error(`Recuperación ${order.orderId} error:`, err);
+      failed.push(order._id);
+    }
+  }
+  // Unclaimed after the loop, so the next run retries them instead of this one spinning
+  if (failed.length) {
+    await Order.updateMany({ _id: { $in: failed } }, { 'recovery.sentAt': null });
+  }
+
+  // Every provider with a payment deadline, not only the one that gets reminders
+  for (const [paymentMethod, provider] of Object.entries(PAYMENT_PROVIDERS)) {
+    if (!provider.cancelUnpaidAfterHours) continue;
+    const expired = await Order.find({
+      paymentMethod,
+      paymentStatus: 'pending',
+      orderStatus: 'pending',
+      createdAt: { $lt: new Date(now - provider.cancelUnpaidAfterHours * 60 * 60 * 1000) },
+    });
+    for (const o of expired) {
+      await transitionOrder(o, 'cancelled', { by: 'recovery', note: 'Checkout abandonado sin pago' })
+        .catch(err => console.error(`Auto-cancelación ${o.orderId} error:`, err.message));
+    }
+  }
+}
+
+// ============================================================
+// HELPER: Refunds
+// ============================================================
+
+// Stores a refund once (keyed by the provider's refund id) and updates paymentStatus
+async function recordRefund(order, { refundId, amount, reason, by }) {
+  const idField = order.paymentMethod === 'mercadopago' ? 'mpRefundId' : 'providerRefundId';
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, [`refunds.${idField}`]: { $ne: refundId } },
+    { $push: { refunds: { [idField]: refundId, amount, reason, by } }, $inc: { refundedAmount: amount } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (updated.paymentStatus !== 'charged_back') {
+    updated.paymentStatus = updated.refundedAmount >= updated.total - AMOUNT_TOLERANCE
+      ? 'refunded'
+      : 'partially_refunded';
+    await updated.save();
+  }
+  await refreshBuyerTag(updated.customer.email);
+  await sendRefundEmail(updated, amount, reason);
+  return updated;
+}
+
+// A full refund also cancels the order (restocking it) while it hasn't been shipped
+async function cancelIfFullyRefunded(order, by) {
+  if (order.paymentStatus !== 'refunded') return order;
+  if (!ORDER_TRANSITIONS[order.orderStatus].includes('cancelled')) return order;
+  return transitionOrder(order, 'cancelled', { by, note: 'Reembolso total' });
+}
+
+function refundableAmount(order) {
+  return Math.round((order.total - order.refundedAmount) * 100) / 100;
+}
+
+// Admin-initiated refund through the order's provider; amount omitted = whatever is left to refund
+async function refundOrder(order, { amount, reason, by, idempotencyKey }) {
+  const provider = paymentProvider(order.paymentMethod);
+  if (!['approved', 'partially_refunded'].includes(order.paymentStatus)) {
+    throw httpError(400, `No se puede reembolsar un pago en estado ${order.paymentStatus}`);
+  }
+
+  const refundable = refundableAmount(order);
+  const value = amount == null ? refundable : Number(amount);
+  if (!(value > 0) || value > refundable) {
+    throw httpError(400, `Monto inválido (se pueden reembolsar hasta $${refundable} UYU)`);
+  }
+
+  let refund;
+  try {
+    refund = await provider.refund(order, value, idempotencyKey);
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    console.error(`${provider.label} refund error:`, err);
+    throw httpError(502, `${provider.label}: ${err.message}`);
+  }
+
+  const updated = await recordRefund(order, { refundId: refund.id, amount: refund.amount, reason, by })
+    || await Order.findById(order._id); // The webhook got there first
+  return cancelIfFullyRefunded(updated, by);
+}
+
+// Webhook side: refunds and chargebacks started on MercadoPago show up on the payment
+async function syncRefunds(order, payment) {
+  for (const refund of payment.refunds || []) {
+    const updated = await recordRefund(order, {
+      refundId: String(refund.id),
+      amount: refund.amount,
+      reason: refund.reason || 'Reembolso desde MercadoPago',
+      by: 'mercadopago',
+    });
+    if (updated) order = updated;
+  }
+
+  if (payment.status === 'charged_back' && order.paymentStatus !== 'charged_back') {
+    order = await Order.findByIdAndUpdate(order._id, { paymentStatus: 'charged_back' }, { new: true });
+    await refreshBuyerTag(order.customer.email);
+    await enqueueEmail({
+      from: `"Flores&Boxes Sistema" <${SMTP_USER}>`,
+      to: process.env.ADMIN_EMAIL,
+      subject: `⚠️ Contracargo en el pedido ${order.orderId}`,
+      html: html`<p>MercadoPago informó un contracargo del pago ${order.mpPaymentId} (pedido ${order.orderId}, $${order.total.toLocaleString()} UYU). Revisalo en el panel de MercadoPago.</p>`,
+    }, `order:${order.orderId}`);
+  }
+
+  return cancelIfFullyRefunded(order, 'mercadopago');
+}
+
+async function sendRefundEmail(order, amount, reason) {
+  await sendTemplateEmail('refund', { to: order.customer.email, lang: order.customer.lang }, lang => ({
+    ...orderEmailView(order, lang),
+    refund: { full: order.paymentStatus === 'refunded', amount: formatMoney(amount, lang), reason },
+  }), `order:${order.orderId}`);
+}
+
+// ============================================================
+// HELPER: Webhook verification & idempotency
+// ============================================================
+
+// Difference tolerated between MercadoPago and order.total (discount spread per unit is rounded)
+const AMOUNT_TOLERANCE = 1;
+
+// x-signature: "ts=...,v1=..." — HMAC-SHA256 of "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+function verifyMercadoPagoSignature(req) {
+  if (SKIP_WEBHOOK_VERIFICATION) return true;
+  if (!MP_WEBHOOK_SECRET) {
+    console.error('MP_WEBHOOK_SECRET no configurado: se rechazan los webhooks de MercadoPago');
+    return false;
+  }
+
+  const parts = Object.fromEntries((req.get('x-signature') || '').split(',').map(p => p.trim().split('=')));
+  if (!parts.ts || !parts.v1) return false;
+
+  let dataId = req.query['data.id'] || (req.body.data && req.body.data.id);
+  if (dataId && /^[a-z0-9]+$/i.test(dataId)) dataId = String(dataId).toLowerCase();
+  const requestId = req.get('x-request-id');
+
+  let manifest = '';
+  if (dataId) manifest += `id:${dataId};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${parts.ts};`;
+
+  const expected = crypto.createHmac('sha256', MP_WEBHOOK_SECRET).update(manifest).digest('hex');
+  return expected.length === parts.v1.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+// Twilio signs the full public URL plus the POST params with the account auth token
+function verifyTwilioSignature(req) {
+  if (SKIP_WEBHOOK_VERIFICATION) return true;
+  const url = `${process.env.BACKEND_URL}${req.originalUrl}`;
+  return twilio.validateRequest(TWILIO_AUTH, req.get('X-Twilio-Signature') || '', url, req.body);
+}
+
+// Returns false when the event was already claimed (a retry); the caller then skips side effects
+async function claimWebhookEvent(provider, eventKey) {
+  try {
+    await WebhookEvent.create({ provider, eventKey });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+// Processing failed: drop the claim so the provider's retry runs again
+async function unclaimWebhookEvent(provider, eventKey) {
+  await WebhookEvent.deleteOne({ provider, eventKey });
+}
+
+// ============================================================
+// HELPER: Outbound message queue
+// ============================================================
+// Routes only enqueue; the worker below delivers with exponential backoff.
+// After maxAttempts a job goes 'dead' and waits for an admin to re-queue it.
+
+const CHANNEL_RATE_PER_MINUTE = { email: EMAIL_RATE_PER_MINUTE, whatsapp: WHATSAPP_RATE_PER_MINUTE };
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+async function enqueueEmail(mail, context) {
+  const payload = { from: `"Flores&Boxes" <${SMTP_USER}>`, ...mail };
+  if (mail.html !== undefined) payload.html = String(mail.html); // html`` fragments → plain string for the job
+  await MessageJob.create({ channel: 'email', payload, context });
+  kickQueue();
+}
+
+async function enqueueWhatsApp(to, body, context) {
+  await MessageJob.create({ channel: 'whatsapp', payload: { from: TWILIO_WHATSAPP_FROM, to, body }, context });
+  kickQueue();
+}
+
+async function deliverJob(job) {
+  if (job.channel === 'email') return transporter.sendMail(job.payload);
+  return twilioClient.messages.create(job.payload);
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+async function processChannel(channel) {
+  // Mongo-backed window, so the limit holds across restarts and instances
+  const sentLastMinute = await MessageJob.countDocuments({
+    channel, sentAt: { $gte: new Date(Date.now() - 60 * 1000) },
+  });
+  let budget = CHANNEL_RATE_PER_MINUTE[channel] - sentLastMinute;
+
+  while (budget > 0) {
+    const job = await MessageJob.findOneAndUpdate(
+      { channel, status: 'pending', runAt: { $lte: new Date() } },
+      { status: 'processing', lockedAt: new Date(), $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+    if (!job) return;
+    budget--;
+
+    try {
+      await deliverJob(job);
+      await MessageJob.updateOne({ _id: job._id }, { status: 'sent', sentAt: new Date(), lastError: null });
+      if (job.delivery) await CampaignDelivery.updateOne({ _id: job.delivery }, { status: 'sent', sentAt: new Date() });
+    } catch (err) {
+      const dead = job.attempts >= job.maxAttempts;
+      await MessageJob.updateOne({ _id: job._id }, {
+        status: dead ? 'dead' : 'pending',
+        runAt: new Date(Date.now() + retryDelay(job.attempts)),
+        lastError: err.message,
+      });
+      if (dead && job.delivery) await CampaignDelivery.updateOne({ _id: job.delivery }, { status: 'failed' });
+      console.error(`📮 ${channel} job ${job._id} falló (intento ${job.attempts})${dead ? ' → dead' : ''}:`, err.message);
+    }
+  }
+}
+
+let queueRunning = false;
+async function processQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+  try {
+    // A worker that died mid-send leaves jobs 'processing'; hand them back
+    await MessageJob.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { status: 'pending' }
+    );
+    for (const channel of Object.keys(CHANNEL_RATE_PER_MINUTE)) {
+      await processChannel(channel);
+    }
+  } finally {
+    queueRunning = false;
+  }
+}
+
+// Deliver right away instead of waiting for the next poll
+function kickQueue() {
+  setImmediate(() => processQueue().catch(err => console.error('Queue error:', err)));
+}
+
+// ============================================================
+// HELPER: Email campaigns
+// ============================================================
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+let emailLinkSecret = EMAIL_LINK_SECRET;
+if (!emailLinkSecret) {
+  emailLinkSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ EMAIL_LINK_SECRET no configurado: los links de baja dejarán de valer al reiniciar');
+}
+
+function signEmail(email) {
+  return crypto.createHmac('sha256', emailLinkSecret).update(String(email).toLowerCase()).digest('hex');
+}
+
+function unsubscribeUrl(email, deliveryToken) {
+  const params = new URLSearchParams({ email, sig: signEmail(email) });
+  if (deliveryToken) params.set('d', deliveryToken);
+  return `${process.env.BACKEND_URL}/api/unsubscribe?${params}`;
+}
+
+// Leads matching the rules, never including unsubscribed ones
+async function resolveSegment(rules = {}) {
+  const query = { unsubscribedAt: null };
+  if (rules.tags && rules.tags.length) query.tags = { $all: rules.tags };
+  if (rules.excludeTags && rules.excludeTags.length) {
+    query.tags = { ...query.tags, $nin: rules.excludeTags };
+  }
+  if (rules.sources && rules.sources.length) query.source = { $in: rules.sources };
+  if (rules.signedUpAfter || rules.signedUpBefore) {
+    query.createdAt = {};
+    if (rules.signedUpAfter) query.createdAt.$gte = rules.signedUpAfter;
+    if (rules.signedUpBefore) query.createdAt.$lte = rules.signedUpBefore;
+  }
+
+  const leads = await Lead.find(query).select('name email');
+  const usesOrders = rules.minOrders != null || rules.maxOrders != null
+    || rules.lastOrderAfter || rules.lastOrderBefore;
+  if (!usesOrders) return leads;
+
+  const history = await Order.aggregate([
+    { $match: { paymentStatus: 'approved' } },
+    { $group: { _id: '$customer.email', orders: { $sum: 1 }, lastOrderAt: { $max: '$createdAt' } } },
+  ]);
+  const byEmail = new Map(history.map(h => [h._id, h]));
+
+  return leads.filter(lead => {
+    const h = byEmail.get(lead.email) || { orders: 0, lastOrderAt: null };
+    if (rules.minOrders != null && h.orders < rules.minOrders) return false;
+    if (rules.maxOrders != null && h.orders > rules.maxOrders) return false;
+    if (rules.lastOrderAfter && !(h.lastOrderAt && h.lastOrderAt >= rules.lastOrderAfter)) return false;
+    if (rules.lastOrderBefore && !(h.lastOrderAt && h.lastOrderAt <= rules.lastOrderBefore)) return false;
+    return true;
+  });
+}
+
+async function campaignRules(campaign) {
+  if (!campaign.segment) return campaign.rules || {};
+  const segment = await Segment.findById(campaign.segment);
+  return segment ? segment.rules : {};
+}
+
+// Per-recipient HTML: links go through the click redirect, plus open pixel and unsubscribe footer
+function personalizeCampaignHtml(campaign, delivery) {
+  const base = `${process.env.BACKEND_URL}/api/t`;
+  // The campaign body is HTML written by the marketing team, so it goes in unescaped
+  const body = campaign.html.replace(/href="(https?:\/\/[^"]+)"/g, (match, url) => {
+    const idx = campaign.links.indexOf(url);
+    return idx === -1 ? match : `href="${base}/c/${delivery.token}/${idx}"`;
+  });
+
+  return body + html`
+    <div style="font-family:sans-serif;text-align:center;color:#999;font-size:12px;margin-top:24px;">
+      ¿No querés recibir más emails? <a href="${unsubscribeUrl(delivery.email, delivery.token)}" style="color:#999;">Darte de baja</a>
+    </div>
+    <img src="${base}/o/${delivery.token}.gif" width="1" height="1" alt="" style="display:block;border:0;">`;
+}
+
+// Resolves the audience and queues one email per lead; the queue worker does the sending
+async function dispatchCampaign(campaign) {
+  const leads = await resolveSegment(await campaignRules(campaign));
+  campaign.links = [...new Set([...campaign.html.matchAll(/href="(https?:\/\/[^"]+)"/g)].map(m => m[1]))];
+
+  // A dispatch that failed halfway left deliveries (and maybe their jobs) behind: reuse
+  // those rows and only queue the emails that aren't queued yet
+  if (leads.length) {
+    await CampaignDelivery.bulkWrite(leads.map(lead => ({
+      updateOne: {
+        filter: { campaign: campaign._id, email: lead.email },
+        update: { $setOnInsert: { lead: lead._id } },
+        upsert: true,
+        setDefaultsOnInsert: true,
+      },
+    })), { ordered: false });
+  }
+  const deliveries = await CampaignDelivery.find({ campaign: campaign._id, email: { $in: leads.map(l => l.email) } });
+  const queued = new Set((await MessageJob.distinct('delivery', { delivery: { $in: deliveries.map(d => d._id) } })).map(String));
+
+  await MessageJob.insertMany(deliveries.filter(d => !queued.has(String(d._id))).map(delivery => {
+    const unsubscribe = unsubscribeUrl(delivery.email, delivery.token);
+    return {
+      channel: 'email',
+      payload: {
+        from: `"Flores&Boxes" <${SMTP_USER}>`,
+        to: delivery.email,
+        subject: campaign.subject,
+        html: personalizeCampaignHtml(campaign, delivery),
+        headers: {
+          'List-Unsubscribe': `<${unsubscribe}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+      },
+      context: `campaign:${campaign._id}`,
+      delivery: delivery._id,
+    };
+  }));
+
+  campaign.recipients = deliveries.length;
+  campaign.status = 'sent';
+  campaign.sentAt = new Date();
+  await campaign.save();
+  kickQueue();
+  console.log(`📣 Campaña "${campaign.name}" encolada para ${deliveries.length} destinatarios`);
+}
+
+// Claims due campaigns one at a time so two instances never dispatch the same one
+let campaignsRunning = false;
+async function processScheduledCampaigns() {
+  if (campaignsRunning) return;
+  campaignsRunning = true;
+  try {
+    let campaign;
+    while ((campaign = await Campaign.findOneAndUpdate(
+      { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+      { status: 'sending' },
+      { new: true }
+    ))) {
+      try {
+        await dispatchCampaign(campaign);
+      } catch (err) {
+        console.error(`Campaña ${campaign._id} error:`, err);
+        await Campaign.updateOne({ _id: campaign._id }, { status: 'draft' });
+      }
+    }
+  } finally {
+    campaignsRunning = false;
+  }
+}
+
+// ============================================================
+// HELPER: Order status transitions & customer notifications
+// ============================================================
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+const STATUS_MESSAGES = {
+  confirmed: id => `¡Tu pedido ${id} fue confirmado! 🌸 Ya lo estamos agendando.`,
+  preparing: id => `💐 Estamos preparando tu pedido ${id} con todo nuestro amor.`,
+  shipped: id => `🚚 Tu pedido ${id} salió para entrega. ¡Ya casi llega!`,
+  delivered: id => `🌸 Tu pedido ${id} fue entregado. ¡Gracias por elegir Flores&Boxes!`,
+  cancelled: id => `Tu pedido ${id} fue cancelado. Si tenés dudas escribinos por WhatsApp.`,
+};
+
+function trackingUrl(order) {
+  return `${process.env.FRONTEND_URL}/seguimiento?token=${order.trackingToken}`;
+}
+
+// "099 123 456" → "whatsapp:+59899123456"; null when the number isn't valid
+function toWhatsApp(phone) {
+  const e164 = normalizePhone(phone);
+  return e164 ? `whatsapp:${e164}` : null;
+}
+
+// Moves an order to `to`, recording who did it; throws 400 on a transition the workflow doesn't allow
+function assertTransition(from, to) {
+  if (!(ORDER_TRANSITIONS[from] || []).includes(to)) {
+    const allowed = (ORDER_TRANSITIONS[from] || []).join(', ') || 'ninguno';
+    throw httpError(400, `No se puede pasar de ${from} a ${to} (permitidos: ${allowed})`);
+  }
+}
+
+async function transitionOrder(order, to, { by, note } = {}) {
+  const from = order.orderStatus;
+  assertTransition(from, to);
+
+  // Conditional on the current status, so two admins can't apply conflicting changes
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    {
+      orderStatus: to,
+      $push: { statusHistory: { from, to, by, note, at: new Date() } },
+    },
+    { new: true }
+  );
+  if (!updated) throw httpError(409, 'El pedido cambió de estado mientras tanto, recargá e intentá de nuevo');
+
+  if (to === 'cancelled') {
+    await releaseReservation(updated);
+    await releaseCoupon(updated);
+  }
+
+  await notifyStatusChange(updated);
+  return updated;
+}
+
+// Email + WhatsApp to the customer, queued so a provider outage never blocks the status change
+async function notifyStatusChange(order) {
+  const status = order.orderStatus;
+  const text = STATUS_MESSAGES[status] && STATUS_MESSAGES[status](order.orderId);
+  if (!text) return;
+
+  if (status === 'confirmed') {
+    await sendOrderEmail(order);
+  } else {
+    await sendTemplateEmail('order-status', { to: order.customer.email, lang: order.customer.lang }, lang => ({
+      ...orderEmailView(order, lang),
+      status: { [status]: true },
+    }), `order:${order.orderId}`);
+  }
+
+  const to = toWhatsApp(order.customer.phone);
+  if (to) await enqueueWhatsApp(to, `${text}\nSeguilo acá: ${trackingUrl(order)}`, `order:${order.orderId}`);
+}
+
+// ============================================================
+// HELPER: Email templates
+// ============================================================
+// Mustache templates. The defaults are files: emails/<lang>/<name>.html (first line
+// "Subject: ..."), an optional .txt plain-text version, and emails/<lang>/partials/ for the
+// shared header and footer. Admins can override any of them per language from the panel
+// (EmailTemplate). Every template and partial ships in both languages; one missing in
+// English (or removed from disk) falls back to Spanish.
+
+const EMAIL_TEMPLATE_DIR = path.join(__dirname, 'emails');
+Mustache.escape = escapeHtml; // Same escaping as html``, which leaves URLs readable
+const EMAIL_LANGS = ['es', 'en'];
+const EMAIL_PARTIALS = {
+  header: 'Encabezado compartido',
+  footer: 'Pie compartido (WhatsApp, ©)',
+};
+
+// `sample` is what the preview renders the template with; `preview` adds the
+// template-specific variables the real sender passes
+const EMAIL_TEMPLATES = {
+  'order-confirmation': { description: 'Pedido confirmado (cliente)', sample: 'order' },
+  'order-status': {
+    description: 'Cambio de estado del pedido (cliente)',
+    sample: 'order',
+    preview: (order, lang, { status = 'shipped' }) => ({ status: { [status]: true } }),
+  },
+  'payment-instructions': {
+    description: 'Cómo pagar por transferencia o en efectivo (cliente)',
+    sample: 'order',
+    preview: () => ({ payment: { label: PAYMENT_PROVIDERS.transfer.label, instructions: BANK_TRANSFER_INFO } }),
+  },
+  'cart-recovery': {
+    description: 'Recordatorio de checkout abandonado (cliente)',
+    sample: 'order',
+    preview: () => ({ couponCode: RECOVERY_COUPON_CODE || null }),
+  },
+  refund: {
+    description: 'Reembolso total o parcial (cliente)',
+    sample: 'order',
+    preview: (order, lang) => ({ refund: { full: true, amount: formatMoney(order.total, lang), reason: null } }),
+  },
+  'admin-new-order': { description: 'Aviso de pedido nuevo (equipo)', sample: 'order' },
+  'lead-welcome': { description: 'Bienvenida al suscribirse (lead)', sample: 'lead' },
+  'account-login': {
+    description: 'Código y link para entrar a la cuenta (cliente)',
+    sample: 'login',
+    preview: () => ({ code: '123456', link: `${process.env.FRONTEND_URL}/cuenta?login=ejemplo`, minutes: LOGIN_CODE_MINUTES }),
+  },
+};
+
+const defaultTemplates = new Map(); // The files don't change while the server runs
+
+function readDefaultTemplate(name, lang) {
+  const key = `${lang}/${name}`;
+  if (!defaultTemplates.has(key)) {
+    const dir = path.join(EMAIL_TEMPLATE_DIR, lang, EMAIL_PARTIALS[name] ? 'partials' : '');
+    const read = ext => {
+      try {
+        return fs.readFileSync(path.join(dir, `${name}.${ext}`), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    };
+    const raw = read('html');
+    const subject = raw && /^Subject:(.*)\r?\n(\r?\n)?/.exec(raw);
+    defaultTemplates.set(key, raw === null ? null : {
+      subject: subject ? subject[1].trim() : '',
+      html: subject ? raw.slice(subject[0].length) : raw,
+      text: read('txt'),
+    });
+  }
+  return defaultTemplates.get(key);
+}
+
+// Admin version first, then the file; English falls back to Spanish
+async function loadEmailTemplate(name, lang) {
+  const saved = await EmailTemplate.findOne({ name, lang }).lean();
+  if (saved) {
+    const { subject, html, text, updatedBy, updatedAt } = saved;
+    return { name, lang, subject, html, text, updatedBy, updatedAt, customized: true };
+  }
+  const file = readDefaultTemplate(name, lang);
+  if (file) return { name, lang, ...file, customized: false };
+  if (lang !== 'es') return loadEmailTemplate(name, 'es');
+  throw new Error(`Email template not found: ${name}`);
+}
+
+function formatMoney(amount, lang) {
+  return `$${Number(amount || 0).toLocaleString(lang === 'en' ? 'en-US' : 'es-UY')} UYU`;
+}
+
+// Variables every template gets as {{shop.*}}
+function shopView() {
+  const whatsapp = normalizePhone(WHATSAPP_CONTACT_NUMBER || TWILIO_WHATSAPP_FROM);
+  return {
+    name: 'Flores&Boxes',
+    url: process.env.FRONTEND_URL,
+    year: montevideoNow().date.slice(0, 4),
+    whatsappNumber: whatsapp,
+    whatsappUrl: whatsapp && `https://wa.me/${whatsapp.slice(1)}`,
+  };
+}
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#x2F;': '/', '&#x60;': '`', '&#x3D;': '=', '&nbsp;': ' ' };
+
+// Plain-text fallback for templates without a .txt version
+function htmlToText(markup) {
+  return markup
+    .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label} (${href})`)
+    .replace(/<br\s*\/?>|<\/(p|div|h\d|tr|li|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|#x2F|#x60|#x3D|nbsp);/g, entity => HTML_ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Renders { subject, html, text }. `drafts` ({ [name]: { subject, html, text } }) replaces
+// the stored template or partials, so the panel can preview edits before saving them.
+async function renderEmail(name, lang, view, drafts = {}) {
+  const language = EMAIL_LANGS.includes(lang) ? lang : 'es';
+  const load = async key => ({ ...(await loadEmailTemplate(key, language)), ...drafts[key] });
+
+  const template = await load(name);
+  const partials = { html: {}, text: {} };
+  for (const partial of Object.keys(EMAIL_PARTIALS)) {
+    const { html: markup, text } = await load(partial);
+    partials.html[partial] = markup;
+    partials.text[partial] = text || htmlToText(markup);
+  }
+
+  const data = { ...view, shop: shopView(), lang: language };
+  const plain = { escape: value => String(value) }; // Subject and text aren't HTML
+  const body = Mustache.render(template.html, data, partials.html);
+  return {
+    subject: Mustache.render(template.subject || '', data, {}, plain).replace(/\s+/g, ' ').trim(),
+    html: body,
+    text: template.text ? Mustache.render(template.text, data, partials.text, plain) : htmlToText(body),
+  };
+}
+
+// `view` gets the language so amounts come out formatted for it
+async function sendTemplateEmail(name, { to, from, lang }, view, context) {
+  const language = EMAIL_LANGS.includes(lang) ? lang : 'es';
+  const { subject, html: body, text } = await renderEmail(name, language, view(language));
+  await enqueueEmail({ ...(from && { from }), to, subject, html: body, text }, context);
+}
+
+function orderEmailView(order, lang) {
+  const money = amount => formatMoney(amount, lang);
+  const c = order.customer || {};
+  const provider = PAYMENT_PROVIDERS[order.paymentMethod];
+  return {
+    customer: { name: c.name, email: c.email, phone: c.phone },
+    order: {
+      orderId: order.orderId,
+      trackingUrl: trackingUrl(order),
+      paymentUrl: order.mpInitPoint,
+      items: (order.items || []).map(i => ({ emoji: i.emoji || '🌸', name: i.name, qty: i.qty, total: money(i.price * i.qty) })),
+      subtotal: money(order.subtotal),
+      discount: order.discount ? money(order.discount) : null,
+      couponCode: order.coupon && order.coupon.code,
+      shipping: money(order.shipping),
+      freeShipping: !order.shipping,
+      total: money(order.total),
+      address: c.address,
+      barrio: c.barrio,
+      deliveryDate: c.deliveryDate,
+      deliverySlot: c.deliverySlot,
+      message: c.message,
+      paymentMethod: provider ? provider.label : order.paymentMethod,
+      paymentPending: order.paymentStatus === 'pending',
+      amountMismatch: Boolean(order.amountMismatch),
+      paidAmount: order.paidAmount != null ? money(order.paidAmount) : null,
+    },
+  };
+}
+
+function leadEmailView(lead, lang) {
+  const coupon = WELCOME_COUPON;
+  return {
+    name: lead.name,
+    email: lead.email,
+    couponCode: coupon.code,
+    couponLabel: coupon.type === 'percentage' ? `${coupon.value}% OFF` : `${formatMoney(coupon.value, lang)} OFF`,
+  };
+}
+
+// Used by the preview when the store has no orders yet
+const SAMPLE_ORDER = {
+  orderId: `${ORDER_PREFIX}-2026-00042`,
+  trackingToken: 'ejemplo',
+  customer: {
+    name: 'Sofía Pérez', email: 'sofia@example.com', phone: '+59899123456',
+    address: 'Av. Brasil 2500, apto 301', barrio: 'Pocitos',
+    deliveryDate: '2026-05-10', deliverySlot: '09:00–13:00', message: '¡Feliz día, mamá!',
+  },
+  items: [
+    { sku: 'RAMO-ROSAS', name: 'Ramo de rosas', price: 1890, emoji: '🌹', qty: 1 },
+    { sku: 'CAJA-BOMBONES', name: 'Caja de bombones', price: 650, emoji: '🍫', qty: 2 },
+  ],
+  subtotal: 3190, discount: 319, coupon: { code: WELCOME_COUPON.code }, shipping: 0, total: 2871,
+  paymentMethod: 'mercadopago', paymentStatus: 'approved', mpInitPoint: 'https://www.mercadopago.com.uy/checkout/ejemplo',
+};
+
+// Sample for the preview: the given order / lead, else the latest one, else SAMPLE_ORDER
+// Real orders carry customer data, so only roles that can read orders preview with them;
+// everyone else gets SAMPLE_ORDER
+async function emailPreviewView(name, lang, query, { realOrders = false } = {}) {
+  const { sample, preview } = EMAIL_TEMPLATES[name];
+  let source = {};
+  let view = {};
+  if (sample === 'order') {
+    if (query.orderId && !realOrders) throw httpError(403, 'Solo quien gestiona pedidos puede previsualizar un pedido real');
+    source = !realOrders ? null
+      : query.orderId ? await Order.findOne({ orderId: query.orderId }).lean()
+      : await Order.findOne().sort({ createdAt: -1 }).lean();
+    if (!source && query.orderId) throw httpError(404, `No existe el pedido ${query.orderId}`);
+    source = source || SAMPLE_ORDER;
+    view = orderEmailView(source, lang);
+  } else if (sample === 'lead') {
+    source = query.email
+      ? await Lead.findOne({ email: query.email }).lean()
+      : await Lead.findOne().sort({ createdAt: -1 }).lean();
+    if (!source && query.email) throw httpError(404, `No existe el lead ${query.email}`);
+    source = source || { name: 'Sofía', email: 'sofia@example.com' };
+    view = leadEmailView(source, lang);
+  }
+  return { ...view, ...(preview && preview(source, lang, query)) };
+}
+
+// ============================================================
+// HELPER: Send order confirmation email
+// ============================================================
+// Queued (see enqueueEmail)
+async function sendOrderEmail(order) {
+  await sendTemplateEmail('order-confirmation', { to: order.customer.email, lang: order.customer.lang },
+    lang => orderEmailView(order, lang), `order:${order.orderId}`);
+}
+
+// Transfer / cash orders: what to pay and how, before the order can be confirmed
+async function sendPaymentInstructions(order, instructions) {
+  await sendTemplateEmail('payment-instructions', { to: order.customer.email, lang: order.customer.lang }, lang => ({
+    ...orderEmailView(order, lang),
+    payment: { label: PAYMENT_PROVIDERS[order.paymentMethod].label, instructions },
+  }), `order:${order.orderId}`);
+}
+
+// ============================================================
+// HELPER: Send admin notification
+// ============================================================
+async function notifyAdmin(order) {
+  await sendTemplateEmail('admin-new-order', {
+    from: `"Flores&Boxes Sistema" <${SMTP_USER}>`,
+    to: process.env.ADMIN_EMAIL,
+    lang: ADMIN_EMAIL_LANG,
+  }, lang => orderEmailView(order, lang), `order:${order.orderId}`);
+}
+
+// ============================================================
+// HELPER: Spreadsheet export & import
+// ============================================================
+// Exports stream straight from a Mongo cursor, as CSV (default) or XLSX (?format=xlsx).
+// Imports take the CSV as the raw request body (Content-Type: text/csv); with
+// ?dryRun=true nothing is written and the per-row validation errors are returned.
+
+// "2026-02-14 10:30" in Montevideo time
+function formatDateTime(date) {
+  if (!date) return '';
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).format(date);
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Spreadsheets run cells starting with = + - @ as formulas (phone numbers are fine)
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header row + one row per document; XLSX splits into sheets when `sheetOf` changes
+async function streamSpreadsheet(res, { format = 'csv', filename, columns, cursor, sheetOf }) {
+  if (!['csv', 'xlsx'].includes(format)) throw httpError(400, 'format debe ser csv o xlsx');
+  const headers = columns.map(c => c.header);
+  const rowOf = doc => columns.map(c => c.value(doc));
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.write('\uFEFF' + headers.map(csvCell).join(',') + '\r\n'); // BOM so Excel reads the accents
+    for await (const doc of cursor) {
+      if (!res.write(rowOf(doc).map(csvCell).join(',') + '\r\n')) await once(res, 'drain');
+    }
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  let sheet = null;
+  let sheetName = null;
+  const openSheet = name => {
+    // Sheet names: max 31 chars, no []:*?/\
+    sheet = workbook.addWorksheet(String(name || filename).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    sheet.columns = columns.map(c => ({ header: c.header, key: c.header, width: c.width || 16 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+  };
+  for await (const doc of cursor) {
+    const name = sheetOf ? sheetOf(doc) : filename;
+    if (!sheet || name !== sheetName) {
+      if (sheet) sheet.commit();
+      openSheet(name);
+      sheetName = name;
+    }
+    sheet.addRow(rowOf(doc)).commit();
+  }
+  if (!sheet) openSheet(filename);
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF. Spanish Excel saves with ';'
+function parseCsv(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  // Line numbers as the user sees them in the spreadsheet (header is row 1)
+  const [header = { cells: [] }, ...data] = rows
+    .map((cells, i) => ({ cells, line: i + 1 }))
+    .filter(r => r.cells.some(cell => cell.trim()));
+  const keys = header.cells.map(h => h.trim().toLowerCase());
+  return data.map(({ cells, line }) => ({
+    line,
+    data: Object.fromEntries(keys.map((k, j) => [k, (cells[j] || '').trim()])),
+  }));
+}
+
+function splitList(value) {
+  return String(value || '').split(/[;|]/).map(v => v.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  const v = normalizeBarrio(value);
+  if (['1', 'true', 'si', 'yes', 'x'].includes(v)) return true;
+  if (['0', 'false', 'no'].includes(v)) return false;
+  return undefined;
+}
+
+function importReport(res, { dryRun, rows, errors, ...counts }) {
+  const report = { dryRun, rows, ...counts, imported: !dryRun && !errors.length, errors };
+  // All or nothing: a real import with errors writes nothing
+  if (errors.length && !dryRun) {
+    return res.status(400).json({
+      error: { code: 'import_failed', message: 'El archivo tiene errores; no se importó nada' },
+      ...report,
+    });
+  }
+  res.json(report);
+}
+
+// ?from&to (YYYY-MM-DD, Montevideo), ?status=confirmed,preparing, ?paymentStatus, ?barrio=Pocitos,Centro
+// The query comes already validated by OrderExportQuery
+function orderExportFilter(query) {
+  const filter = {};
+  const list = value => String(value).split(',').map(v => v.trim()).filter(Boolean);
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = startOfDayInZone(query.from, TIMEZONE);
+    if (query.to) filter.createdAt.$lt = startOfDayInZone(addDays(query.to, 1), TIMEZONE);
+  }
+  if (query.status) filter.orderStatus = { $in: list(query.status) };
+  if (query.paymentStatus) filter.paymentStatus = { $in: list(query.paymentStatus) };
+  if (query.barrio) filter['customer.barrio'] = { $in: list(query.barrio).map(b => new RegExp(`^${escapeRegex(b)}$`, 'i')) };
+  return filter;
+}
+
+const ORDER_COLUMNS = [
+  { header: 'Pedido', value: o => o.orderId },
+  { header: 'Fecha', value: o => formatDateTime(o.createdAt), width: 18 },
+  { header: 'Estado', value: o => o.orderStatus },
+  { header: 'Pago', value: o => o.paymentStatus },
+  { header: 'Medio de pago', value: o => o.paymentMethod },
+  { header: 'Canal', value: o => o.source },
+  { header: 'Cliente', value: o => o.customer.name, width: 24 },
+  { header: 'Email', value: o => o.customer.email, width: 28 },
+  { header: 'Teléfono', value: o => o.customer.phone },
+  { header: 'Dirección', value: o => o.customer.address, width: 32 },
+  { header: 'Barrio', value: o => o.customer.barrio },
+  { header: 'Zona', value: o => o.deliveryZone },
+  { header: 'Fecha de entrega', value: o => o.customer.deliveryDate },
+  { header: 'Franja', value: o => o.customer.deliverySlot },
+  { header: 'Productos', value: o => o.items.map(i => `${i.name} x${i.qty}`).join(', '), width: 40 },
+  { header: 'Subtotal', value: o => o.subtotal },
+  { header: 'Descuento', value: o => o.discount },
+  { header: 'Cupón', value: o => o.coupon && o.coupon.code },
+  { header: 'Envío', value: o => o.shipping },
+  { header: 'Total', value: o => o.total },
+  { header: 'Reembolsado', value: o => o.refundedAmount },
+];
+
+const LEAD_COLUMNS = [
+  { header: 'email', value: l => l.email, width: 28 },
+  { header: 'name', value: l => l.name, width: 24 },
+  { header: 'source', value: l => l.source },
+  { header: 'tags', value: l => (l.tags || []).join(';'), width: 24 },
+  { header: 'createdAt', value: l => formatDateTime(l.createdAt), width: 18 },
+  { header: 'unsubscribedAt', value: l => formatDateTime(l.unsubscribedAt), width: 18 },
+];
+
+// Same headers the product import reads, so an export can be edited and imported back
+const PRODUCT_COLUMNS = [
+  { header: 'sku', value: p => p.sku },
+  { header: 'name', value: p => p.name, width: 28 },
+  { header: 'description', value: p => p.description, width: 40 },
+  { header: 'price', value: p => p.price },
+  { header: 'stock', value: p => p.stock },
+  { header: 'reserved', value: p => p.reserved },
+  { header: 'category', value: p => p.category },
+  { header: 'emoji', value: p => p.emoji },
+  { header: 'active', value: p => (p.active ? 'si' : 'no') },
+  { header: 'images', value: p => (p.images || []).join(';'), width: 40 },
+];
+
+// Route sheet for the florist: what goes where on a delivery date
+const MANIFEST_COLUMNS = [
+  { header: 'Barrio', value: o => o.customer.barrio },
+  { header: 'Franja', value: o => o.customer.deliverySlot },
+  { header: 'Pedido', value: o => o.orderId },
+  { header: 'Estado', value: o => o.orderStatus },
+  { header: 'Destinatario', value: o => o.customer.name, width: 24 },
+  { header: 'Teléfono', value: o => o.customer.phone },
+  { header: 'Dirección', value: o => o.customer.address, width: 36 },
+  { header: 'Productos', value: o => o.items.map(i => `${i.name} x${i.qty}`).join(', '), width: 40 },
+  { header: 'Mensaje en tarjeta', value: o => o.customer.message, width: 48 },
+  { header: 'Cobrar', value: o => (o.paymentStatus === 'pending' && (PAYMENT_PROVIDERS[o.paymentMethod] || {}).payOnDelivery ? o.total : '') },
+];
+
+// ============================================================
+// AUTH: Admin users, sessions and roles
+// ============================================================
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const candidate = await scrypt(String(password), salt, expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(candidate, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// First owner account comes from ADMIN_EMAIL / ADMIN_PASSWORD
+async function seedOwner() {
+  if (await AdminUser.exists({})) return;
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+    console.warn('⚠️ No hay usuarios admin: definí ADMIN_EMAIL y ADMIN_PASSWORD para crear el primero');
+    return;
+  }
+  await AdminUser.create({
+    email: process.env.ADMIN_EMAIL,
+    name: 'Owner',
+    passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+    role: 'owner',
+  });
+  console.log(`🔐 Usuario owner creado: ${process.env.ADMIN_EMAIL}`);
+}
+
+// Middleware: requires a valid session token; owners pass every role check
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const [scheme, token] = (req.get('Authorization') || '').split(' ');
+      if (scheme !== 'Bearer' || !token) return sendError(res, 401, 'No autorizado');
+
+      const session = await AdminSession.findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() },
+      }).populate('user');
+      if (!session || !session.user || !session.user.active) {
+        return sendError(res, 401, 'No autorizado');
+      }
+
+      const { role } = session.user;
+      if (role !== 'owner' && !roles.includes(role)) {
+        return sendError(res, 403, 'Permiso insuficiente');
+      }
+
+      req.admin = session.user;
+      req.adminSession = session;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// ============================================================
+// ROUTES — AUTH
+// ============================================================
+
+// POST /api/auth/login
+const LoginBody = z.object({ email: zEmail, password: z.string().min(1, 'Falta la contraseña') });
+
+app.post('/api/auth/login', rateLimit('admin_login'), validate({ body: LoginBody }), rateLimit('admin_login', { email: req => req.body.email }), async (req, res) => {
+  const { email, password } = req.body;
+  const user = await AdminUser.findOne({ email, active: true });
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return sendError(res, 401, 'Email o contraseña incorrectos');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_HOURS * 60 * 60 * 1000);
+  await AdminSession.create({ tokenHash: hashToken(token), user: user._id, expiresAt });
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  res.json({
+    token, expiresAt,
+    user: { id: user._id, email: user.email, name: user.name, role: user.role },
+  });
+});
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', requireRole('florist', 'marketing'), async (req, res) => {
+  await AdminSession.deleteOne({ _id: req.adminSession._id });
+  res.json({ success: true });
+});
+
+// GET /api/auth/me
+app.get('/api/auth/me', requireRole('florist', 'marketing'), (req, res) => {
+  const { _id, email, name, role } = req.admin;
+  res.json({ id: _id, email, name, role });
+});
+
+// GET /api/admin-users (owner)
+app.get('/api/admin-users', requireRole('owner'), async (req, res) => {
+  const users = await AdminUser.find().select('-passwordHash').sort({ createdAt: 1 });
+  res.json(users);
+});
+
+const zPassword = z.string().min(8, 'La contraseña debe tener al menos 8 caracteres').max(200);
+const AdminUserBody = z.object({
+  email: zEmail,
+  name: zText(),
+  password: zPassword,
+  role: z.enum(['owner', 'florist', 'marketing']),
+});
+
+// POST /api/admin-users (owner)
+app.post('/api/admin-users', requireRole('owner'), validate({ body: AdminUserBody }), async (req, res) => {
+  const { email, name, password, role } = req.body;
+  const user = await AdminUser.create({ email, name, role, passwordHash: await hashPassword(password) });
+  res.status(201).json({ id: user._id, email: user.email, name: user.name, role: user.role });
+});
+
+// PATCH /api/admin-users/:id — Change role, name, password or deactivate (owner)
+const AdminUserPatch = AdminUserBody.omit({ email: true }).extend({ active: z.boolean() }).partial();
+
+app.patch('/api/admin-users/:id', requireRole('owner'), validate({ params: zIdParam, body: AdminUserPatch }), async (req, res) => {
+  const { name, role, active, password } = req.body;
+  const data = {};
+  if (name !== undefined) data.name = name;
+  if (role !== undefined) data.role = role;
+  if (active !== undefined) data.active = active;
+  if (password !== undefined) data.passwordHash = await hashPassword(password);
+
+  const user = await AdminUser.findByIdAndUpdate(req.params.id, data, { new: true, runValidators: true })
+    .select('-passwordHash');
+  if (!user) return sendError(res, 404, 'Not found');
+
+  // Role or password changes and deactivation end open sessions
+  if (data.role || data.passwordHash || data.active === false) {
+    await AdminSession.deleteMany({ user: user._id });
+  }
+  res.json(user);
+});
+
+// ============================================================
+// HELPER: Customers
+// ============================================================
+const MAX_SAVED_ADDRESSES = 10;
+
+function addressKey({ address, barrio }) {
+  return `${normalizeBarrio(address)}|${normalizeBarrio(barrio)}`;
+}
+
+// Finds the account for a checkout (by email, or by phone for email-less chats) or opens one.
+// A phone is never proof of ownership: an email checkout that matches a phone-only account
+// gets its own account instead of claiming that one. Anyone can type an email at checkout,
+// so only a checkout signed in to that account (`signedIn`) fills in its profile and
+// remembers the delivery address; a guest checkout just links the order.
+async function linkCustomer(customer, signedIn = null) {
+  const email = String(customer.email || '').trim().toLowerCase();
+  if (!email && !customer.phone) return null;
+
+  if (signedIn && signedIn.email === email) {
+    if (!signedIn.phone && customer.phone) signedIn.phone = customer.phone;
+    if (!signedIn.name) signedIn.name = customer.name;
+    if (customer.address && customer.barrio && signedIn.addresses.length < MAX_SAVED_ADDRESSES
+        && !signedIn.addresses.some(a => addressKey(a) === addressKey(customer))) {
+      signedIn.addresses.push({ name: customer.name, phone: customer.phone, address: customer.address, barrio: customer.barrio });
+    }
+    await signedIn.save();
+    return signedIn;
+  }
+
+  const account = email
+    ? await Customer.findOne({ email })
+    : await Customer.findOne({ phone: customer.phone, email: { $exists: false } });
+  if (account) return account;
+  try {
+    return await Customer.create({ email: email || undefined, phone: customer.phone, name: customer.name });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return Customer.findOne({ email }); // Concurrent checkout created it
+  }
+}
+
+// 'buyer' = at least one order paid and not fully refunded; recomputed whenever that can change
+async function refreshBuyerTag(email) {
+  if (!email) return;
+  const collation = { locale: 'en', strength: 2 };
+  const paid = await Order.exists({ 'customer.email': email, paymentStatus: { $in: PAID_STATUSES } }).collation(collation);
+  await Lead.updateOne(
+    { email },
+    paid ? { $addToSet: { tags: 'buyer' } } : { $pull: { tags: 'buyer' } },
+    { collation }
+  );
+}
+
+// Paid orders and spend per account, from the orders themselves
+async function customerStats(customerId) {
+  const [stats] = await Order.aggregate([
+    { $match: { customerId, paymentStatus: { $in: PAID_STATUSES } } },
+    { $group: {
+      _id: null,
+      orders: { $sum: 1 },
+      totalSpent: { $sum: { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] } },
+      firstOrderAt: { $min: '$createdAt' },
+      lastOrderAt: { $max: '$createdAt' },
+    }},
+  ]);
+  const { _id, ...rest } = stats || { orders: 0, totalSpent: 0 };
+  return rest;
+}
+
+// ============================================================
+// CHECKOUT: shared by POST /api/orders and the WhatsApp bot
+// ============================================================
+const CheckoutCustomer = z.object({
+  name: zText(100).min(2, 'Falta el nombre'),
+  email: zEmail,
+  phone: zPhone,
+  address: zText(300).min(5, 'Falta la dirección'),
+  barrio: zText(100).min(2, 'Falta el barrio'),
+  deliveryDate: zDate,
+  deliverySlot: zText(50).optional(),
+  message: zText(500).optional(), // Mensaje de la tarjeta
+  lang: z.enum(EMAIL_LANGS).default('es'),
+});
+
+const OrderBody = z.object({
+  customer: CheckoutCustomer,
+  items: z.array(z.object({
+    sku: zText(40).min(1, 'Falta el SKU'),
+    qty: z.coerce.number().int('Cantidad inválida').min(1, 'Cantidad inválida').max(50),
+  })).min(1, 'El pedido no tiene productos').max(30),
+  paymentMethod: z.enum(Object.keys(PAYMENT_PROVIDERS), { message: 'Medio de pago inválido' }),
+  couponCode: zText(40).optional(),
+});
+
+// Prices, validates delivery and coupon, holds stock, saves the order and starts the
+// payment with its provider: returns { order, checkout } where checkout has the
+// paymentUrl to redirect to, or the instructions for manual payments. `_id` lets a
+// caller know the order's id in advance (see the create_order bot tool); `account` is
+// the signed-in customer, if any (see linkCustomer).
+async function createOrder(input) {
+  const { source = 'web', _id, account: signedIn } = input;
+  const { customer, items: cart, paymentMethod, couponCode } = OrderBody.parse(input);
+  const provider = paymentProvider(paymentMethod);
+  const items = await priceOrderItems(cart);
+  const subtotal = items.reduce((s, i) => s + i.price * i.qty, 0);
+
+  let coupon = null;
+  let discount = 0;
+  if (couponCode) {
+    ({ coupon, discount } = await validateCoupon(couponCode, { subtotal, customer }));
+  }
+
+  const delivery = await quoteDelivery({ ...customer, subtotal });
+  const shipping = coupon && coupon.freeShipping ? 0 : delivery.shipping;
+  const total = subtotal - discount + shipping;
+
+  // Transfers take longer to settle than an online payment, cash waits for the delivery
+  const expiresAt = provider.holdUntil(customer);
+
+  const account = await linkCustomer(customer, signedIn);
+
+  const order = new Order({
+    _id,
+    trackingToken: crypto.randomBytes(16).toString('hex'),
+    customer: { ...customer, deliverySlot: delivery.slot ? delivery.slot.label : undefined },
+    customerId: account && account._id,
+    items, subtotal, discount, shipping, total, paymentMethod, source,
+    deliveryZone: delivery.zone.name,
+    coupon: coupon ? { code: coupon.code, freeShipping: coupon.freeShipping } : undefined,
+    reservation: { status: 'held', expiresAt },
+    statusHistory: [{ to: 'pending', by: source === 'whatsapp' ? 'whatsapp-bot' : 'checkout' }],
+  });
+
+  await reserveStock(items);
+  if (coupon) {
+    try {
+      await redeemCoupon(coupon);
+    } catch (err) {
+      await unreserveStock(items);
+      throw err;
+    }
+  }
+
+  try {
+    await saveNewOrder(order);
+  } catch (err) {
+    await rollbackCheckout(items, coupon);
+    throw err;
+  }
+
+  // Online checkouts expire together with the stock hold
+  let checkout;
+  try {
+    checkout = await provider.startCheckout(order, expiresAt);
+  } catch (err) {
+    await Order.deleteOne({ _id: order._id });
+    await rollbackCheckout(items, coupon);
+    throw err;
+  }
+  if (checkout.fields) {
+    Object.assign(order, checkout.fields);
+    await order.save();
+  }
+
+  // Manual payments: the customer needs the instructions, the shop needs to watch for the money
+  if (provider.manual) {
+    await sendPaymentInstructions(order, checkout.instructions);
+    await notifyAdmin(order);
+  }
+
+  await saveCheckoutLead(customer);
+  return { order, checkout: { paymentUrl: checkout.paymentUrl, instructions: checkout.instructions } };
+}
+
+// Checkout doesn't subscribe anyone or tag them: 'buyer' comes from refreshBuyerTag
+async function saveCheckoutLead(customer) {
+  if (!customer.email) return;
+  await Lead.updateOne(
+    { email: customer.email },
+    { $set: { name: customer.name }, $setOnInsert: { email: customer.email, source: 'checkout' } },
+    { upsert: true }
+  );
+}
+
+// ============================================================
+//  ROUTES — ORDERS
+// ============================================================
+
+// POST /api/orders — Create order
+app.post('/api/orders', rateLimit('orders'), verifyHuman, validate({ body: OrderBody }), rateLimit('orders', { email: req => req.body.customer.email }), optionalCustomer, async (req, res) => {
+  const { customer, items, paymentMethod, couponCode } = req.body;
+  const { order, checkout } = await createOrder({ customer, items, paymentMethod, couponCode, account: req.customer });
+
+  res.json({
+    success: true,
+    orderId: order.orderId,
+    trackingUrl: trackingUrl(order),
+    paymentUrl: checkout.paymentUrl, // Redirect here for payment (MercadoPago / tarjeta)
+    mpInitPoint: order.mpInitPoint,
+    preferenceId: order.mpPreferenceId,
+    instructions: checkout.instructions, // Transferencia / efectivo
+    payBefore: order.reservation.expiresAt,
+  });
+});
+
+// GET /api/orders — List all (admin)
+app.get('/api/orders', requireRole('florist'), async (req, res) => {
+  const orders = await Order.find().sort({ createdAt: -1 });
+  res.json(orders);
+});
+
+const OrderIdParam = z.object({ id: z.string().trim().toUpperCase().max(40) });
+
+// GET /api/orders/:id
+app.get('/api/orders/:id', requireRole('florist'), validate({ params: OrderIdParam }), async (req, res) => {
+  const order = await Order.findOne({ orderId: req.params.id });
+  if (!order) return sendError(res, 404, 'Not found');
+  res.json(order);
+});
+
+// PATCH /api/orders/:id/status
+const OrderStatusBody = z.object({
+  status: z.enum(Object.keys(ORDER_TRANSITIONS)),
+  note: zText(500).optional(),
+  refund: z.boolean().optional(),
+});
+
+app.patch('/api/orders/:id/status', requireRole('florist'), validate({ params: OrderIdParam, body: OrderStatusBody }), async (req, res) => {
+  const { status, note, refund } = req.body;
+  const order = await Order.findOne({ orderId: req.params.id });
+  if (!order) return sendError(res, 404, 'Not found');
+
+  // Only cash on delivery goes ahead before the money is in
+  const provider = PAYMENT_PROVIDERS[order.paymentMethod];
+  if (status === 'confirmed' && order.paymentStatus !== 'approved' && !(provider && provider.payOnDelivery)) {
+    return sendError(res, 409, 'El pedido no está pagado: registrá el pago antes de confirmarlo', { code: 'payment_required' });
+  }
+
+  // Cancelling a paid order means deciding what happens with the money
+  const paid = ['approved', 'partially_refunded'].includes(order.paymentStatus);
+  if (status === 'cancelled' && paid && refund === undefined) {
+    return sendError(res, 400,
+      'El pedido está pagado: mandá refund: true para reembolsarlo o refund: false para cancelar sin reembolso',
+      { code: 'refund_decision_required', fields: { refund: 'Requerido al cancelar un pedido pagado' } });
+  }
+  if (status === 'cancelled' && paid && refund) {
+    if (req.admin.role !== 'owner') return sendError(res, 403, 'Solo el owner puede reembolsar');
+    // A shipped order can't be cancelled, so it must not be refunded here either
+    assertTransition(order.orderStatus, 'cancelled');
+    const refunded = await refundOrder(order, { reason: note || 'Pedido cancelado', by: req.admin.email });
+    // refundOrder only cancels once the whole total is back; the florist asked to cancel regardless
+    if (refunded.orderStatus === 'cancelled') return res.json(refunded);
+    return res.json(await transitionOrder(refunded, 'cancelled', { by: req.admin.email, note }));
+  }
+
+  const updated = await transitionOrder(order, status, { by: req.admin.email, note });
+  res.json(updated);
+});
+
+// POST /api/orders/:id/confirm-payment — Transfer received / cash collected
+const ConfirmPaymentBody = z.object({
+  amount: z.coerce.number().finite().positive('Monto inválido').optional(),
+  note: zText(500).optional(),
+});
+
+app.post('/api/orders/:id/confirm-payment', requireRole('florist'), validate({ params: OrderIdParam, body: ConfirmPaymentBody }), async (req, res) => {
+  const order = await Order.findOne({ orderId: req.params.id });
+  if (!order) return sendError(res, 404, 'Not found');
+  if (!PAYMENT_PROVIDERS[order.paymentMethod] || !PAYMENT_PROVIDERS[order.paymentMethod].manual) {
+    return sendError(res, 400, 'Solo se confirman a mano los pagos por transferencia o en efectivo');
+  }
+  if (order.orderStatus === 'cancelled') return sendError(res, 409, 'El pedido está cancelado');
+
+  const updated = await applyPaymentResult(order.orderId, {
+    status: 'approved',
+    amount: req.body.amount !== undefined ? req.body.amount : order.total,
+    paymentId: `manual:${req.admin.email}`,
+    by: req.admin.email,
+    note: req.body.note,
+  });
+  if (!updated) return sendError(res, 409, 'El pago ya estaba registrado');
+  res.json(updated);
+});
+
+// POST /api/orders/:id/refund — { amount?, reason } full refund when amount is omitted
+const RefundBody = z.object({
+  amount: z.coerce.number().finite().positive('Monto inválido').optional(),
+  reason: zText(500).optional(),
+});
+
+app.post('/api/orders/:id/refund', requireRole('owner'), validate({ params: OrderIdParam, body: RefundBody }), async (req, res) => {
+  const order = await Order.findOne({ orderId: req.params.id });
+  if (!order) return sendError(res, 404, 'Not found');
+
+  // Provider API failures come back from refundOrder as 502; anything else is ours
+  const updated = await refundOrder(order, {
+    amount: req.body.amount,
+    reason: req.body.reason,
+    by: req.admin.email,
+    idempotencyKey: req.get('X-Idempotency-Key'), // So a double click can't refund twice
+  });
+  res.json(updated);
+});
+
+// GET /api/track/:token — Public order tracking (no personal data)
+app.get('/api/track/:token', async (req, res) => {
+  const order = await Order.findOne({ trackingToken: req.params.token });
+  if (!order) return sendError(res, 404, 'Not found');
+  res.json({
+    orderId: order.orderId,
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    items: order.items.map(i => ({ name: i.name, emoji: i.emoji, qty: i.qty })),
+    total: order.total,
+    barrio: order.customer.barrio,
+    deliveryDate: order.customer.deliveryDate,
+    deliverySlot: order.customer.deliverySlot,
+    history: order.statusHistory.map(h => ({ status: h.to, at: h.at })),
+  });
+});
+
+// ============================================================
+// ROUTES — CUSTOMER ACCOUNTS
+// ============================================================
+// Passwordless: POST /api/account/login emails a 6-digit code and a magic link
+// (${FRONTEND_URL}/cuenta?login=<token>); either one is exchanged for a session
+// token at /api/account/verify and sent as "Authorization: Bearer <token>".
+const MAX_LOGIN_ATTEMPTS = 5;
+
+async function findCustomerSession(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  const session = await CustomerSession.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  }).populate('customer');
+  return session && session.customer ? session : null;
+}
+
+async function requireCustomer(req, res, next) {
+  try {
+    const session = await findCustomerSession(req);
+    if (!session) return sendError(res, 401, 'Iniciá sesión');
+
+    req.customer = session.customer;
+    req.customerSession = session;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Checkout works signed in or not; a session only lets it save to the account
+async function optionalCustomer(req, res, next) {
+  try {
+    const session = await findCustomerSession(req);
+    if (session) {
+      req.customer = session.customer;
+      req.customerSession = session;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function accountOrder(order) {
+  return {
+    orderId: order.orderId,
+    createdAt: order.createdAt,
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    items: order.items.map(i => ({ sku: i.sku, name: i.name, emoji: i.emoji, price: i.price, qty: i.qty })),
+    subtotal: order.subtotal,
+    discount: order.discount,
+    shipping: order.shipping,
+    total: order.total,
+    recipient: order.customer.name,
+    address: order.customer.address,
+    barrio: order.customer.barrio,
+    deliveryDate: order.customer.deliveryDate,
+    deliverySlot: order.customer.deliverySlot,
+    trackingUrl: trackingUrl(order),
+  };
+}
+
+async function accountProfile(account) {
+  return {
+    id: account._id,
+    email: account.email,
+    phone: account.phone,
+    name: account.name,
+    addresses: account.addresses,
+    stats: await customerStats(account._id),
+  };
+}
+
+// POST /api/account/login — { email }. Always answers the same, so it can't be used to probe emails
+const AccountLoginBody = z.object({ email: zEmail, lang: z.enum(EMAIL_LANGS).default('es') });
+
+app.post('/api/account/login', rateLimit('account_login'), verifyHuman, validate({ body: AccountLoginBody }), rateLimit('account_login', { email: req => req.body.email }), async (req, res) => {
+  const { email, lang } = req.body;
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + LOGIN_CODE_MINUTES * 60 * 1000);
+  await CustomerLogin.create({ email, codeHash: hashToken(`${email}:${code}`), tokenHash: hashToken(token), expiresAt });
+
+  const link = `${process.env.FRONTEND_URL}/cuenta?login=${token}`;
+  await sendTemplateEmail('account-login', { to: email, lang }, () => ({ code, link, minutes: LOGIN_CODE_MINUTES }), 'account:login');
+
+  res.json({ success: true, expiresAt });
+});
+
+// POST /api/account/verify — { token } from the magic link, or { email, code }
+const VerifyBody = z.union([
+  z.object({ token: z.string().regex(/^[a-f0-9]{64}$/, 'Link inválido') }),
+  z.object({ email: zEmail, code: z.string().trim().regex(/^\d{6}$/, 'El código tiene 6 dígitos') }),
+], { errorMap: () => ({ message: 'Mandá el token del link o email y código' }) });
+
+app.post('/api/account/verify', rateLimit('account_verify'), validate({ body: VerifyBody }), rateLimit('account_verify', { email: req => req.body.email }), async (req, res) => {
+  const { token, code } = req.body;
+  const now = new Date();
+  let login = null;
+
+  if (token) {
+    login = await CustomerLogin.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now }
+    );
+  } else {
+    const { email } = req.body;
+    const pending = await CustomerLogin.findOne({ email, usedAt: null, expiresAt: { $gt: now } }).sort({ expiresAt: -1 });
+    if (pending && pending.attempts >= MAX_LOGIN_ATTEMPTS) {
+      return sendError(res, 429, 'Demasiados intentos, pedí un código nuevo');
+    }
+    if (pending && pending.codeHash === hashToken(`${email}:${code}`)) {
+      login = await CustomerLogin.findOneAndUpdate({ _id: pending._id, usedAt: null }, { usedAt: now });
+    } else if (pending) {
+      await CustomerLogin.updateOne({ _id: pending._id }, { $inc: { attempts: 1 } });
+    }
+  }
+  if (!login) return sendError(res, 401, 'Código o link inválido o vencido');
+
+  const account = await linkCustomer({ email: login.email });
+  account.lastLoginAt = now;
+  await account.save();
+  // Orders placed before the account existed
+  await Order.updateMany(
+    { customerId: null, 'customer.email': login.email },
+    { customerId: account._id },
+    { collation: { locale: 'en', strength: 2 } }
+  );
+
+  const sessionToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CUSTOMER_SESSION_DAYS * 24 * 60 * 60 * 1000);
+  await CustomerSession.create({ tokenHash: hashToken(sessionToken), customer: account._id, expiresAt });
+
+  res.json({ token: sessionToken, expiresAt, customer: await accountProfile(account) });
+});
+
+// POST /api/account/logout
+app.post('/api/account/logout', requireCustomer, async (req, res) => {
+  await CustomerSession.deleteOne({ _id: req.customerSession._id });
+  res.json({ success: true });
+});
+
+// GET /api/account/me
+app.get('/api/account/me', requireCustomer, async (req, res) => {
+  res.json(await accountProfile(req.customer));
+});
+
+// PATCH /api/account/me — { name, phone }
+const AccountPatch = z.object({ name: zText(100).min(2), phone: zPhone }).partial();
+
+app.patch('/api/account/me', requireCustomer, validate({ body: AccountPatch }), async (req, res) => {
+  for (const key of ['name', 'phone']) {
+    if (req.body[key] !== undefined) req.customer[key] = req.body[key];
+  }
+  await req.customer.save();
+  res.json(await accountProfile(req.customer));
+});
+
+// Saved recipients: { label, name, phone, address, barrio, notes }
+const AddressBody = z.object({
+  label: zText(60).optional(),
+  name: zText(100).min(2, 'Falta el nombre'),
+  phone: zPhone.optional(),
+  address: zText(300).min(5, 'Falta la dirección'),
+  barrio: zText(100).min(2, 'Falta el barrio'),
+  notes: zText(300).optional(),
+});
+const AddressParams = z.object({ id: zObjectId });
+
+app.get('/api/account/addresses', requireCustomer, (req, res) => {
+  res.json(req.customer.addresses);
+});
+
+app.post('/api/account/addresses', requireCustomer, validate({ body: AddressBody }), async (req, res) => {
+  if (req.customer.addresses.length >= MAX_SAVED_ADDRESSES) {
+    return sendError(res, 400, `Podés guardar hasta ${MAX_SAVED_ADDRESSES} direcciones`);
+  }
+  if (!(await findZone(req.body.barrio))) return sendError(res, 400, 'No hacemos envíos a ese barrio');
+
+  req.customer.addresses.push(req.body);
+  await req.customer.save();
+  res.status(201).json(req.customer.addresses[req.customer.addresses.length - 1]);
+});
+
+app.patch('/api/account/addresses/:id', requireCustomer, validate({ params: AddressParams, body: AddressBody.partial() }), async (req, res) => {
+  const address = req.customer.addresses.id(req.params.id);
+  if (!address) return sendError(res, 404, 'Not found');
+  if (req.body.barrio !== undefined && !(await findZone(req.body.barrio))) {
+    return sendError(res, 400, 'No hacemos envíos a ese barrio');
+  }
+
+  address.set(req.body);
+  await req.customer.save();
+  res.json(address);
+});
+
+app.delete('/api/account/addresses/:id', requireCustomer, validate({ params: AddressParams }), async (req, res) => {
+  const address = req.customer.addresses.id(req.params.id);
+  if (!address) return sendError(res, 404, 'Not found');
+  address.deleteOne();
+  await req.customer.save();
+  res.json({ success: true });
+});
+
+// GET /api/account/orders — Newest first
+app.get('/api/account/orders', requireCustomer, async (req, res) => {
+  const orders = await Order.find({ customerId: req.customer._id }).sort({ createdAt: -1 }).limit(100);
+  res.json(orders.map(accountOrder));
+});
+
+// POST /api/account/orders/:id/reorder — Same items at today's prices.
+// { deliveryDate, deliverySlot, addressId?, message?, paymentMethod?, couponCode? };
+// without addressId it goes to the original order's address.
+const ReorderBody = z.object({
+  deliveryDate: zDate,
+  deliverySlot: zText(50).optional(),
+  addressId: zObjectId.optional(),
+  message: zText(500).optional(),
+  paymentMethod: OrderBody.shape.paymentMethod.optional(),
+  couponCode: zText(40).optional(),
+});
+
+app.post('/api/account/orders/:id/reorder', requireCustomer, validate({ params: OrderIdParam, body: ReorderBody }), async (req, res) => {
+  const previous = await Order.findOne({ orderId: req.params.id, customerId: req.customer._id });
+  if (!previous) return sendError(res, 404, 'Not found');
+
+  let recipient = previous.customer;
+  if (req.body.addressId) {
+    recipient = req.customer.addresses.id(req.body.addressId);
+    if (!recipient) return sendError(res, 400, 'Dirección no encontrada');
+  }
+
+  const paymentMethod = req.body.paymentMethod || previous.paymentMethod || 'mercadopago';
+  const { order, checkout } = await createOrder({
+    customer: {
+      name: recipient.name || req.customer.name,
+      email: req.customer.email,
+      phone: recipient.phone || req.customer.phone,
+      address: recipient.address,
+      barrio: recipient.barrio,
+      deliveryDate: req.body.deliveryDate,
+      deliverySlot: req.body.deliverySlot,
+      message: req.body.message,
+      lang: previous.customer.lang,
+    },
+    items: previous.items.map(i => ({ sku: i.sku, qty: i.qty })),
+    paymentMethod,
+    couponCode: req.body.couponCode,
+    account: req.customer,
+  });
+
+  res.json({
+    success: true,
+    order: accountOrder(order),
+    paymentUrl: checkout.paymentUrl,
+    instructions: checkout.instructions,
+    payBefore: order.reservation.expiresAt,
+  });
+});
+
+// ============================================================
+// ROUTES — PRODUCTS
+// ============================================================
+
+const ProductBody = z.object({
+  sku: zText(40).min(1, 'Falta el SKU'),
+  name: zText(120).min(1, 'Falta el nombre'),
+  description: zText(2000).optional(),
+  price: zMoney,
+  stock: z.coerce.number().int('Stock inválido').min(0).optional(),
+  category: zText(60).optional(),
+  images: z.array(z.string().url('URL de imagen inválida')).max(20).optional(),
+  emoji: zText(16).optional(),
+  active: zBoolean.optional(),
+});
+const SkuParam = z.object({ sku: z.string().trim().toUpperCase().max(40) });
+
+// GET /api/catalog — Public listing (active products only)
+app.get('/api/catalog', validate({ query: z.object({ category: zText(60).optional() }) }), async (req, res) => {
+  const query = { active: true };
+  if (req.query.category) query.category = req.query.category;
+  const products = await Product.find(query)
+    .select('sku name description price stock category images emoji')
+    .sort({ category: 1, name: 1 });
+  res.json(products);
+});
+
+// GET /api/products — List all (admin)
+app.get('/api/products', requireRole('florist'), async (req, res) => {
+  const products = await Product.find().sort({ createdAt: -1 });
+  res.json(products);
+});
+
+// GET /api/products/:sku
+app.get('/api/products/:sku', requireRole('florist'), validate({ params: SkuParam }), async (req, res) => {
+  const product = await Product.findOne({ sku: req.params.sku });
+  if (!product) return sendError(res, 404, 'Not found');
+  res.json(product);
+});
+
+// POST /api/products — Create product
+app.post('/api/products', requireRole('florist'), validate({ body: ProductBody }), async (req, res) => {
+  const product = await Product.create(req.body);
+  res.status(201).json(product);
+});
+
+// PATCH /api/products/:sku — Update product (price, stock, active...)
+app.patch('/api/products/:sku', requireRole('florist'), validate({ params: SkuParam, body: ProductBody.partial() }), async (req, res) => {
+  const product = await Product.findOneAndUpdate(
+    { sku: req.params.sku },
+    { ...req.body, updatedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+  if (!product) return sendError(res, 404, 'Not found');
+  res.json(product);
+});
+
+// DELETE /api/products/:sku
+app.delete('/api/products/:sku', requireRole('florist'), validate({ params: SkuParam }), async (req, res) => {
+  const product = await Product.findOneAndDelete({ sku: req.params.sku });
+  if (!product) return sendError(res, 404, 'Not found');
+  res.json({ success: true });
+});
+
+// ============================================================
+// ROUTES — COUPONS (admin)
+// ============================================================
+
+const CouponFields = z.object({
+  code: zText(40).min(3, 'El código tiene que tener al menos 3 caracteres'),
+  type: z.enum(['percentage', 'fixed']),
+  value: zMoney,
+  minSubtotal: zMoney.optional(),
+  startsAt: z.coerce.date().nullable().optional(),
+  expiresAt: z.coerce.date().nullable().optional(),
+  maxUses: z.coerce.number().int().min(1).nullable().optional(),
+  maxUsesPerCustomer: z.coerce.number().int().min(1).nullable().optional(),
+  firstPurchaseOnly: zBoolean.optional(),
+  freeShipping: zBoolean.optional(),
+  active: zBoolean.optional(),
+});
+const percentageUpTo100 = c => c.type !== 'percentage' || c.value === undefined || c.value <= 100;
+const percentageIssue = { message: 'Un porcentaje no puede superar 100', path: ['value'] };
+const CouponBody = CouponFields.refine(percentageUpTo100, percentageIssue);
+const CouponPatch = CouponFields.omit({ code: true }).partial().refine(percentageUpTo100, percentageIssue);
+const CodeParam = z.object({ code: z.string().trim().toUpperCase().max(40) });
+
+// GET /api/coupons — List with redemption stats (approved orders only)
+app.get('/api/coupons', requireRole('marketing'), async (req, res) => {
+  const [coupons, stats] = await Promise.all([
+    Coupon.find().sort({ createdAt: -1 }).lean(),
+    Order.aggregate([
+      { $match: { 'coupon.code': { $exists: true }, paymentStatus: 'approved' } },
+      { $group: {
+        _id: '$coupon.code',
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: '$discount' },
+        revenue: { $sum: '$total' },
+      }},
+    ]),
+  ]);
+
+  const byCode = new Map(stats.map(s => [s._id, s]));
+  res.json(coupons.map(c => {
+    const s = byCode.get(c.code) || { redemptions: 0, totalDiscount: 0, revenue: 0 };
+    return { ...c, redemptions: s.redemptions, totalDiscount: s.totalDiscount, revenue: s.revenue };
+  }));
+});
+
+// GET /api/coupons/:code/redemptions — Orders that used the code
+app.get('/api/coupons/:code/redemptions', requireRole('marketing'), validate({ params: CodeParam }), async (req, res) => {
+  const orders = await Order.find({ 'coupon.code': req.params.code })
+    .select('orderId customer.name customer.email subtotal discount total paymentStatus orderStatus createdAt')
+    .sort({ createdAt: -1 });
+  res.json(orders);
+});
+
+// POST /api/coupons — Create code
+app.post('/api/coupons', requireRole('marketing'), validate({ body: CouponBody }), async (req, res) => {
+  const coupon = await Coupon.create(req.body);
+  res.status(201).json(coupon);
+});
+
+// PATCH /api/coupons/:code — Update or deactivate
+app.patch('/api/coupons/:code', requireRole('marketing'), validate({ params: CodeParam, body: CouponPatch }), async (req, res) => {
+  const coupon = await Coupon.findOne({ code: req.params.code });
+  if (!coupon) return sendError(res, 404, 'Not found');
+
+  // The body may change only the value or only the type, so check the result
+  const type = req.body.type || coupon.type;
+  const value = req.body.value !== undefined ? req.body.value : coupon.value;
+  if (!percentageUpTo100({ type, value })) {
+    return sendError(res, 400, 'Datos inválidos', {
+      code: 'validation_error',
+      fields: { value: percentageIssue.message },
+    });
+  }
+
+  coupon.set(req.body);
+  await coupon.save();
+  res.json(coupon);
+});
+
+// ============================================================
+// ROUTES — DELIVERY
+// ============================================================
+
+// GET /api/delivery/quote?barrio=&date=&subtotal= — Public shipping quote and slots
+const QuoteQuery = z.object({
+  barrio: zText(100).min(1, 'Falta el barrio'),
+  date: zDate.optional(),
+  subtotal: zMoney.default(0),
+});
+
+app.get('/api/delivery/quote', validate({ query: QuoteQuery }), async (req, res) => {
+  const { barrio, date, subtotal } = req.query;
+  const [zone, settings] = await Promise.all([findZone(barrio), getDeliverySettings()]);
+
+  const quote = {
+    barrio,
+    zone: zone.name,
+    shipping: shippingFor(zone, subtotal),
+    freeShippingFrom: zone.freeShippingFrom,
+    sameDay: zone.sameDay,
+    sameDayCutoff: settings.sameDayCutoff,
+    nextAvailableDate: nextAvailableDate(settings, zone),
+  };
+
+  if (date) {
+    const { slots, error } = slotsForDate(settings, zone, date);
+    quote.date = date;
+    quote.available = !error;
+    quote.slots = slots || [];
+    if (error) quote.reason = error;
+  }
+
+  res.json(quote);
+});
+
+// GET /api/delivery/barrios — Public list of barrios we deliver to
+app.get('/api/delivery/barrios', async (req, res) => {
+  const zones = await DeliveryZone.find({ available: true }).sort({ shippingCost: 1 });
+  res.json(zones.map(z => ({ zone: z.name, barrios: z.barrios, shippingCost: z.shippingCost })));
+});
+
+// GET /api/delivery/zones — List zones (admin)
+app.get('/api/delivery/zones', requireRole('florist'), async (req, res) => {
+  const zones = await DeliveryZone.find().sort({ shippingCost: 1 });
+  res.json(zones);
+});
+
+const ZoneBody = z.object({
+  name: zText(60).min(1, 'Falta el nombre'),
+  barrios: z.array(zText(100).min(1)).min(1, 'La zona necesita al menos un barrio').transform(b => b.map(normalizeBarrio)),
+  shippingCost: zMoney,
+  freeShippingFrom: zMoney.nullable().optional(),
+  sameDay: zBoolean.optional(),
+  available: zBoolean.optional(),
+});
+
+// POST /api/delivery/zones
+app.post('/api/delivery/zones', requireRole('florist'), validate({ body: ZoneBody }), async (req, res) => {
+  const zone = await DeliveryZone.create(req.body);
+  res.status(201).json(zone);
+});
+
+// PATCH /api/delivery/zones/:id
+app.patch('/api/delivery/zones/:id', requireRole('florist'), validate({ params: zIdParam, body: ZoneBody.partial() }), async (req, res) => {
+  const zone = await DeliveryZone.findByIdAndUpdate(req.params.id, req.body, {
+    new: true, runValidators: true,
+  });
+  if (!zone) return sendError(res, 404, 'Not found');
+  res.json(zone);
+});
+
+// DELETE /api/delivery/zones/:id
+app.delete('/api/delivery/zones/:id', requireRole('florist'), validate({ params: zIdParam }), async (req, res) => {
+  const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+  if (!zone) return sendError(res, 404, 'Not found');
+  res.json({ success: true });
+});
+
+// GET /api/delivery/settings — Slots, cutoff, closed days, holidays (admin)
+app.get('/api/delivery/settings', requireRole('florist'), async (req, res) => {
+  res.json(await getDeliverySettings());
+});
+
+// PATCH /api/delivery/settings
+const zTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Hora inválida (HH:MM)');
+const DeliverySettingsBody = z.object({
+  slots: z.array(z.object({ id: zText(30).min(1), label: zText(60).min(1), start: zTime, end: zTime })
+    .refine(s => s.start < s.end, { message: 'La franja termina antes de empezar', path: ['end'] })).min(1),
+  sameDayCutoff: zTime,
+  closedWeekdays: z.array(z.number().int().min(0).max(6)),
+  blackoutDates: z.array(zDate),
+  maxDaysAhead: z.number().int().min(1).max(365),
+}).partial();
+
+app.patch('/api/delivery/settings', requireRole('florist'), validate({ body: DeliverySettingsBody }), async (req, res) => {
+  await getDeliverySettings();
+  const settings = await DeliverySettings.findOneAndUpdate({ key: 'default' }, req.body, {
+    new: true, runValidators: true,
+  });
+  res.json(settings);
+});
+
+// ============================================================
+// MERCADOPAGO WEBHOOK
+// ============================================================
+// Only the fields we read; anything else in the notification is ignored
+const MpNotification = z.object({
+  type: z.string().optional(),
+  data: z.object({ id: z.union([z.string(), z.number()]).transform(String) }).optional(),
+}).refine(n => n.type !== 'payment' || n.data, 'Falta data.id');
+
+app.post('/api/mp-webhook', async (req, res) => {
+  if (!verifyMercadoPagoSignature(req)) return res.sendStatus(401);
+  const notification = MpNotification.safeParse(req.body);
+  if (!notification.success) return res.sendStatus(400);
+
+  let eventKey = null;
+  try {
+    const { type, data } = notification.data;
+
+    if (type === 'payment') {
+      const payment = await mpPayment.get({ id: data.id });
+      const orderId = payment.external_reference;
+
+      // Same payment can legitimately notify pending → approved → partially refunded,
+      // so status and refunded amount are part of the key
+      eventKey = `payment:${data.id}:${payment.status}:${payment.transaction_amount_refunded || 0}`;
+      if (!(await claimWebhookEvent('mercadopago', eventKey))) return res.sendStatus(200);
+
+      const refundedOrChargedBack = ['refunded', 'charged_back'].includes(payment.status)
+        || payment.transaction_amount_refunded > 0;
+      if (refundedOrChargedBack) {
+        const refunded = await Order.findOne({ orderId });
+        if (refunded) await syncRefunds(refunded, payment);
+        return res.sendStatus(200);
+      }
+
+      // 'cancelled' is what MercadoPago reports for expired pending payments
+      await applyPaymentResult(orderId, {
+        status: payment.status,
+        amount: payment.transaction_amount,
+        paymentId: data.id,
+        by: 'mercadopago',
+      });
+    }
+
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('MP webhook error:', err);
+    if (eventKey) await unclaimWebhookEvent('mercadopago', eventKey).catch(() => {});
+    res.sendStatus(500);
+  }
+});
+
+// ============================================================
+// DLOCAL WEBHOOK (tarjetas)
+// ============================================================
+// Authorization: "V2-HMAC-SHA256, Signature: <hex>" over X-Login + X-Date + raw body
+function verifyDlocalSignature(req) {
+  if (SKIP_WEBHOOK_VERIFICATION) return true;
+  if (!DLOCAL_SECRET_KEY) {
+    console.error('DLOCAL_SECRET_KEY no configurado: se rechazan los webhooks de dLocal');
+    return false;
+  }
+  const match = /Signature:\s*([a-f0-9]+)/i.exec(req.get('Authorization') || '');
+  if (!match || !req.rawBody) return false;
+  const expected = dlocalSignature(req.get('X-Date') || '', req.rawBody.toString('utf8'));
+  return expected.length === match[1].length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(match[1]));
+}
+
+const DLOCAL_STATUSES = { PAID: 'approved', REJECTED: 'rejected', CANCELLED: 'cancelled', EXPIRED: 'cancelled' };
+
+const DlocalNotification = z.object({
+  id: z.string().min(1),
+  status: z.string(),
+  amount: z.coerce.number(),
+  order_id: z.string().min(1),
+});
+
+app.post('/api/dlocal-webhook', async (req, res) => {
+  if (!verifyDlocalSignature(req)) return res.sendStatus(401);
+  const notification = DlocalNotification.safeParse(req.body);
+  if (!notification.success) return res.sendStatus(400);
+
+  let eventKey = null;
+  try {
+    const { id, status, amount, order_id: orderId } = notification.data;
+    eventKey = `payment:${id}:${status}`;
+    if (!(await claimWebhookEvent('dlocal', eventKey))) return res.sendStatus(200);
+
+    await applyPaymentResult(orderId, {
+      status: DLOCAL_STATUSES[status] || 'pending',
+      amount,
+      paymentId: id,
+      by: 'dlocal',
+    });
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('dLocal webhook error:', err);
+    if (eventKey) await unclaimWebhookEvent('dlocal', eventKey).catch(() => {});
+    res.sendStatus(500);
+  }
+});
+
+// ============================================================
+// PAYMENT SANDBOX (PAYMENTS_MOCK=true)
+// ============================================================
+// Stands in for the MercadoPago / dLocal hosted checkout so the full flow
+// (hold → pay or reject → webhook → confirmation emails) runs locally.
+if (PAYMENTS_MOCK) {
+  console.warn('⚠️ PAYMENTS_MOCK activo: los pagos online son simulados');
+
+  app.get('/api/payments/mock/:token', async (req, res) => {
+    const order = await Order.findOne({ trackingToken: req.params.token });
+    if (!order) return res.status(404).send('Pedido no encontrado');
+    res.send(`
+      <div style="font-family:sans-serif;max-width:400px;margin:40px auto;text-align:center;">
+        <h2>Pago simulado (${PAYMENT_PROVIDERS[order.paymentMethod].label})</h2>
+        <p>Pedido ${order.orderId} — $${order.total.toLocaleString()} UYU — ${order.paymentStatus}</p>
+        <form method="post"><button name="result" value="approved">Aprobar</button>
+        <button name="result" value="rejected">Rechazar</button></form>
+      </div>
+    `);
+  });
+
+  app.post('/api/payments/mock/:token', async (req, res) => {
+    try {
+      const order = await Order.findOne({ trackingToken: req.params.token });
+      if (!order) return res.status(404).send('Pedido no encontrado');
+      const status = req.body.result === 'approved' ? 'approved' : 'rejected';
+      await applyPaymentResult(order.orderId, { status, amount: order.total, by: 'mock' });
+      res.redirect(`${process.env.FRONTEND_URL || ''}/${status === 'approved' ? 'success' : 'failure'}`);
+    } catch (err) {
+      console.error('Mock payment error:', err);
+      res.status(500).send(err.message);
+    }
+  });
+}
+
+// ============================================================
+// ROUTES — LEADS
+// ============================================================
+
+// POST /api/leads
+const LeadBody = z.object({ name: zText(100).optional(), email: zEmail, lang: z.enum(EMAIL_LANGS).optional() });
+
+app.post('/api/leads', rateLimit('leads'), verifyHuman, validate({ body: LeadBody }), rateLimit('leads', { email: req => req.body.email }), async (req, res) => {
+  const { name, email, lang } = req.body;
+  let lead;
+  try {
+    // A previous opt-out stays: only the signed link on the unsubscribe page undoes it
+    lead = await Lead.findOneAndUpdate(
+      { email },
+      { name, email, lang, source: 'popup' },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return res.json({ success: true, message: 'Ya suscripto' });
+    throw err;
+  }
+
+  if (!lead.unsubscribedAt) {
+    await sendTemplateEmail('lead-welcome', { to: email, lang: lead.lang }, lang => leadEmailView(lead, lang), 'lead:welcome');
+  }
+
+  res.json({ success: true, lead });
+});
+
+// GET /api/leads — List all
+app.get('/api/leads', requireRole('marketing'), async (req, res) => {
+  const leads = await Lead.find().sort({ createdAt: -1 });
+  res.json(leads);
+});
+
+// POST /api/leads/campaign — Send bulk email now (shortcut for a one-off campaign)
+const QuickCampaignBody = z.object({
+  subject: zText(200).min(1, 'Falta el asunto'),
+  html: z.string().min(1, 'Falta el contenido').max(200000),
+  segment: z.enum(['all', 'buyers', 'new']).optional(),
+});
+
+app.post('/api/leads/campaign', requireRole('marketing'), validate({ body: QuickCampaignBody }), async (req, res) => {
+  const { subject, html, segment } = req.body;
+  let rules = {};
+  if (segment === 'buyers') rules = { tags: ['buyer'] };
+  if (segment === 'new') rules = { excludeTags: ['buyer'] };
+
+  const campaign = await Campaign.create({
+    name: subject, subject, html, rules,
+    status: 'scheduled', scheduledAt: new Date(), createdBy: req.admin.email,
+  });
+  setImmediate(() => processScheduledCampaigns().catch(err => console.error('Campaign error:', err)));
+
+  res.json({ success: true, campaignId: campaign._id });
+});
+
+// ============================================================
+// ROUTES — SEGMENTS & CAMPAIGNS (marketing)
+// ============================================================
+
+// GET /api/segments
+app.get('/api/segments', requireRole('marketing'), async (req, res) => {
+  const segments = await Segment.find().sort({ name: 1 });
+  res.json(segments);
+});
+
+const zStringList = z.array(zText(60).min(1)).max(50);
+const SegmentRules = z.object({
+  tags: zStringList,
+  excludeTags: zStringList,
+  sources: zStringList,
+  signedUpAfter: z.coerce.date(),
+  signedUpBefore: z.coerce.date(),
+  minOrders: z.coerce.number().int().min(0),
+  maxOrders: z.coerce.number().int().min(0),
+  lastOrderAfter: z.coerce.date(),
+  lastOrderBefore: z.coerce.date(),
+}).partial();
+const SegmentBody = z.object({
+  name: zText(100).min(1, 'Falta el nombre'),
+  description: zText(500).optional(),
+  rules: SegmentRules.default({}),
+});
+
+// POST /api/segments
+app.post('/api/segments', requireRole('marketing'), validate({ body: SegmentBody }), async (req, res) => {
+  const { name, description, rules } = req.body;
+  const segment = await Segment.create({ name, description, rules });
+  res.status(201).json(segment);
+});
+
+// PATCH /api/segments/:id
+app.patch('/api/segments/:id', requireRole('marketing'), validate({ params: zIdParam, body: SegmentBody.partial() }), async (req, res) => {
+  const segment = await Segment.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+  if (!segment) return sendError(res, 404, 'Not found');
+  res.json(segment);
+});
+
+// DELETE /api/segments/:id
+app.delete('/api/segments/:id', requireRole('marketing'), validate({ params: zIdParam }), async (req, res) => {
+  const segment = await Segment.findByIdAndDelete(req.params.id);
+  if (!segment) return sendError(res, 404, 'Not found');
+  res.json({ success: true });
+});
+
+// GET /api/segments/:id/preview — Audience size and a sample
+app.get('/api/segments/:id/preview', requireRole('marketing'), validate({ params: zIdParam }), async (req, res) => {
+  const segment = await Segment.findById(req.params.id);
+  if (!segment) return sendError(res, 404, 'Not found');
+  const leads = await resolveSegment(segment.rules);
+  res.json({ count: leads.length, sample: leads.slice(0, 20) });
+});
+
+// GET /api/campaigns
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent'];
+
+app.get('/api/campaigns', requireRole('marketing'), validate({ query: z.object({ status: z.enum(CAMPAIGN_STATUSES).optional() }) }), async (req, res) => {
+  const query = req.query.status ? { status: req.query.status } : {};
+  const campaigns = await Campaign.find(query).select('-html').sort({ createdAt: -1 });
+  res.json(campaigns);
+});
+
+// GET /api/campaigns/:id
+app.get('/api/campaigns/:id', requireRole('marketing'), validate({ params: zIdParam }), async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id).populate('segment');
+  if (!campaign) return sendError(res, 404, 'Not found');
+  res.json(campaign);
+});
+
+const CampaignBody = z.object({
+  name: zText(200).min(1, 'Falta el nombre'),
+  subject: zText(200).min(1, 'Falta el asunto'),
+  html: z.string().min(1, 'Falta el contenido').max(200000),
+  segment: zObjectId.nullable().optional(),
+  rules: SegmentRules.optional(),
+});
+
+// POST /api/campaigns — Create draft
+app.post('/api/campaigns', requireRole('marketing'), validate({ body: CampaignBody }), async (req, res) => {
+  const campaign = await Campaign.create({ ...req.body, createdBy: req.admin.email });
+  res.status(201).json(campaign);
+});
+
+// PATCH /api/campaigns/:id — Edit while it is a draft
+app.patch('/api/campaigns/:id', requireRole('marketing'), validate({ params: zIdParam, body: CampaignBody.partial() }), async (req, res) => {
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: 'draft' },
+    req.body,
+    { new: true, runValidators: true }
+  );
+  if (!campaign) return sendError(res, 404, 'No existe o ya no es borrador');
+  res.json(campaign);
+});
+
+// POST /api/campaigns/:id/schedule — { scheduledAt } (omit to send now)
+const ScheduleBody = z.object({ scheduledAt: z.coerce.date({ message: 'Fecha inválida' }).optional() });
+
+app.post('/api/campaigns/:id/schedule', requireRole('marketing'), validate({ params: zIdParam, body: ScheduleBody }), async (req, res) => {
+  const scheduledAt = req.body.scheduledAt || new Date();
+
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ['draft', 'scheduled'] } },
+    { status: 'scheduled', scheduledAt },
+    { new: true }
+  );
+  if (!campaign) return sendError(res, 404, 'No existe o ya fue enviada');
+
+  if (scheduledAt <= new Date()) {
+    setImmediate(() => processScheduledCampaigns().catch(err => console.error('Campaign error:', err)));
+  }
+  res.json(campaign);
+});
+
+// POST /api/campaigns/:id/unschedule — Back to draft
+app.post('/api/campaigns/:id/unschedule', requireRole('marketing'), validate({ params: zIdParam }), async (req, res) => {
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: 'scheduled' },
+    { status: 'draft', scheduledAt: null },
+    { new: true }
+  );
+  if (!campaign) return sendError(res, 404, 'No existe o no está programada');
+  res.json(campaign);
+});
+
+// GET /api/campaigns/:id/stats
+app.get('/api/campaigns/:id/stats', requireRole('marketing'), validate({ params: zIdParam }), async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id).select('name status sentAt recipients links');
+  if (!campaign) return sendError(res, 404, 'Not found');
+
+  const [totals, linkClicks] = await Promise.all([
+    CampaignDelivery.aggregate([
+      { $match: { campaign: campaign._id } },
+      { $group: {
+        _id: null,
+        sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $ifNull: ['$clickedAt', false] }, 1, 0] } },
+        unsubscribed: { $sum: { $cond: [{ $ifNull: ['$unsubscribedAt', false] }, 1, 0] } },
+        totalOpens: { $sum: '$openCount' },
+        totalClicks: { $sum: '$clickCount' },
+      }},
+    ]),
+    CampaignDelivery.aggregate([
+      { $match: { campaign: campaign._id } },
+      { $unwind: '$clickedLinks' },
+      { $group: { _id: '$clickedLinks', recipients: { $sum: 1 } } },
+      { $sort: { recipients: -1 } },
+    ]),
+  ]);
+
+  const t = totals[0] || { sent: 0, failed: 0, opened: 0, clicked: 0, unsubscribed: 0, totalOpens: 0, totalClicks: 0 };
+  const rate = n => (t.sent ? Math.round((n / t.sent) * 1000) / 10 : 0);
+
+  res.json({
+    campaign: campaign.name,
+    status: campaign.status,
+    sentAt: campaign.sentAt,
+    recipients: campaign.recipients,
+    sent: t.sent,
+    failed: t.failed,
+    queued: campaign.recipients - t.sent - t.failed,
+    opened: t.opened,
+    clicked: t.clicked,
+    unsubscribed: t.unsubscribed,
+    totalOpens: t.totalOpens,
+    totalClicks: t.totalClicks,
+    openRate: rate(t.opened),
+    clickRate: rate(t.clicked),
+    links: linkClicks.map(l => ({ url: campaign.links[l._id], recipients: l.recipients })),
+  });
+});
+
+// ============================================================
+// EMAIL TRACKING & UNSUBSCRIBE (public)
+// ============================================================
+
+// GET /api/t/o/:token.gif — Open pixel
+app.get('/api/t/o/:token.gif', async (req, res) => {
+  await CampaignDelivery.updateOne(
+    { token: req.params.token },
+    { $inc: { openCount: 1 }, $min: { openedAt: new Date() } }
+  ).catch(err => console.error('Open tracking error:', err.message));
+  res.set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store' });
+  res.send(TRACKING_PIXEL);
+});
+
+// GET /api/t/c/:token/:link — Click redirect (only to URLs present in the campaign)
+app.get('/api/t/c/:token/:link', async (req, res) => {
+  try {
+    const idx = Number(req.params.link);
+    const delivery = await CampaignDelivery.findOneAndUpdate(
+      { token: req.params.token },
+      {
+        $inc: { clickCount: 1 },
+        $min: { clickedAt: new Date(), openedAt: new Date() }, // Un click implica apertura
+        $addToSet: { clickedLinks: idx },
+      }
+    );
+    const campaign = delivery && await Campaign.findById(delivery.campaign).select('links');
+    const url = campaign && campaign.links[idx];
+    res.redirect(url || process.env.FRONTEND_URL);
+  } catch (err) {
+    console.error('Click tracking error:', err.message);
+    res.redirect(process.env.FRONTEND_URL);
+  }
+});
+
+function validEmailSignature(email, sig) {
+  const expected = signEmail(email || '');
+  return Boolean(email && sig && sig.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)));
+}
+
+async function unsubscribe(email, sig, deliveryToken) {
+  if (!validEmailSignature(email, sig)) return false;
+  const now = new Date();
+  await Lead.updateOne({ email }, { unsubscribedAt: now });
+  // Emails already queued for this address are dropped too
+  await MessageJob.updateMany(
+    { channel: 'email', 'payload.to': email, status: 'pending', delivery: { $exists: true } },
+    { status: 'dead', lastError: 'unsubscribed' }
+  );
+  if (deliveryToken) await CampaignDelivery.updateOne({ token: deliveryToken }, { unsubscribedAt: now });
+  return true;
+}
+
+// Missing or malformed params fall through to unsubscribe(), which rejects them
+const UnsubscribeQuery = z.object({ email: z.string().max(320), sig: z.string().max(128), d: z.string().max(64) }).partial();
+
+// GET /api/unsubscribe?email=&sig=&d= — Link in the email footer
+app.get('/api/unsubscribe', validate({ query: UnsubscribeQuery }), async (req, res) => {
+  const ok = await unsubscribe(req.query.email, req.query.sig, req.query.d);
+  const resubscribe = `/api/resubscribe?${new URLSearchParams({ email: req.query.email || '', sig: req.query.sig || '' })}`;
+  res.status(ok ? 200 : 400).send(String(html`
+    <div style="font-family:sans-serif;max-width:500px;margin:60px auto;text-align:center;">
+      <h2>${ok ? '🌸 Listo, te diste de baja' : 'Link inválido'}</h2>
+      <p>${ok ? 'No vas a recibir más emails de promociones de Flores&Boxes.' : 'El link de baja no es válido o está incompleto.'}</p>
+      ${ok && html`<form method="post" action="${resubscribe}"><button>Me di de baja por error, volver a suscribirme</button></form>`}
+    </div>
+  `));
+});
+
+// POST /api/unsubscribe — One-click unsubscribe (List-Unsubscribe-Post, RFC 8058)
+app.post('/api/unsubscribe', validate({ query: UnsubscribeQuery }), async (req, res) => {
+  const ok = await unsubscribe(req.query.email, req.query.sig, req.query.d);
+  res.sendStatus(ok ? 200 : 400);
+});
+
+// POST /api/resubscribe?email=&sig= — Undo an opt-out; needs the same signed link, so
+// only whoever received the email can do it
+app.post('/api/resubscribe', validate({ query: UnsubscribeQuery }), async (req, res) => {
+  const ok = validEmailSignature(req.query.email, req.query.sig);
+  if (ok) await Lead.updateOne({ email: req.query.email }, { unsubscribedAt: null });
+  res.status(ok ? 200 : 400).send(`
+    <div style="font-family:sans-serif;max-width:500px;margin:60px auto;text-align:center;">
+      <h2>${ok ? '🌸 Listo, te volviste a suscribir' : 'Link inválido'}</h2>
+      <p>${ok ? 'Vas a volver a recibir nuestras promociones.' : 'El link no es válido o está incompleto.'}</p>
+    </div>
+  `);
+});
+
+// ============================================================
+// WHATSAPP BOT (via Twilio Webhooks)
+// ============================================================
+
+// ===== HUMAN HANDOFF =====
+function wantsHuman(text) {
+  const normalized = String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return HANDOFF_KEYWORDS.some(k => normalized.includes(k));
+}
+
+// Pauses the bot for this chat and alerts the team by email (chat is saved by the caller)
+async function startHandoff(chat, requestedBy, reason) {
+  if (chat.handoff && chat.handoff.active) return;
+  const now = new Date();
+  chat.handoff = { active: true, requestedBy, reason, startedAt: now, lastActivityAt: now };
+  chat.messages.push({ role: 'system', content: `Derivado a humano (${requestedBy})${reason ? `: ${reason}` : ''}`, timestamp: now });
+
+  if (requestedBy === 'admin') return;
+  await enqueueEmail({
+    from: `"Flores&Boxes Sistema" <${SMTP_USER}>`,
+    to: process.env.ADMIN_EMAIL,
+    subject: `🙋 WhatsApp: ${chat.profileName || chat.phone} quiere hablar con una persona`,
+    html: html`
+      <h2>Nueva derivación a humano</h2>
+      <p><strong>Cliente:</strong> ${chat.profileName || '—'} (${chat.phone.replace('whatsapp:', '')})</p>
+      <p><strong>Origen:</strong> ${requestedBy === 'keyword' ? 'lo pidió el cliente' : 'el bot no pudo resolverlo'}</p>
+      ${reason ? html`<p><strong>Motivo:</strong> ${reason}</p>` : ''}
+      <p>Respondé desde el inbox del dashboard. El bot retoma solo tras ${HANDOFF_TIMEOUT_MINUTES} minutos sin actividad.</p>
+    `,
+  }, `chat:${chat.phone}`);
+}
+
+function endHandoff(chat, note) {
+  chat.handoff.active = false;
+  chat.messages.push({ role: 'system', content: note, timestamp: new Date() });
+}
+
+async function releaseIdleHandoffs() {
+  const cutoff = new Date(Date.now() - HANDOFF_TIMEOUT_MINUTES * 60 * 1000);
+  const chats = await Chat.find({ 'handoff.active': true, 'handoff.lastActivityAt': { $lt: cutoff } });
+  for (const chat of chats) {
+    endHandoff(chat, `Vuelve al bot tras ${HANDOFF_TIMEOUT_MINUTES} minutos sin actividad`);
+    await chat.save();
+  }
+}
+
+const BOT_MODEL = 'gpt-4o-mini';
+const AI_BUDGET_REPLY = 'En este momento no puedo responderte automáticamente 🙏 Ya le aviso al equipo y en breve te escribe una persona. 🌸';
+const BOT_MAX_TOOL_ROUNDS = 5;
+const BOT_HISTORY = 20;
+
+// Built on every message so price and catalog changes reach the bot immediately
+const WEEKDAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} y ${items[items.length - 1]}` : items.join('');
+}
+
+// "de lunes a sábado", or the days one by one when the closed days fall in the middle
+function deliveryDaysText(closedWeekdays) {
+  const open = [1, 2, 3, 4, 5, 6, 0].filter(day => !closedWeekdays.includes(day));
+  if (open.length === 7) return 'todos los días';
+  const week = [1, 2, 3, 4, 5, 6, 0, 1, 2, 3, 4, 5, 6, 0];
+  const start = week.indexOf(open[0]);
+  const consecutive = open.length >= 3 && open.every((day, i) => week[start + i] === day);
+  return consecutive
+    ? `de ${WEEKDAY_NAMES[open[0]]} a ${WEEKDAY_NAMES[open[open.length - 1]]}`
+    : `los ${joinList(open.map(day => WEEKDAY_NAMES[day].replace(/o$/, 'os')))}`;
+}
+
+function zoneShippingText(zone) {
+  const money = amount => `$${amount.toLocaleString('es-UY')} UYU`;
+  return `${zone.name}: ${zone.shippingCost ? money(zone.shippingCost) : 'gratis'}`
+    + (zone.shippingCost && zone.freeShippingFrom ? ` (gratis en pedidos desde ${money(zone.freeShippingFrom)})` : '')
+    + (zone.sameDay ? '' : ', sin entregas en el día');
+}
+
+async function buildSystemPrompt() {
+  const [products, settings, zones] = await Promise.all([
+    Product.find({ active: true }).sort({ category: 1, name: 1 }),
+    getDeliverySettings(),
+    DeliveryZone.find({ available: true }).sort({ shippingCost: 1 }),
+  ]);
+  const slots = joinList(settings.slots.map(slot => slot.label));
+  const today = montevideoNow().date;
+  const holidays = (settings.blackoutDates || []).filter(date => date >= today).sort().slice(0, 10);
+
+  return `Sos la asistente de Flores&Boxes, una floristería en Montevideo, Uruguay 🌸
+Atendés por WhatsApp para ayudar a elegir flores y regalos especiales, y podés tomar pedidos.
+Hoy es ${montevideoNow().date} (hora de Montevideo ${montevideoNow().time}).
 
 Nuestros productos:
-${PRODUCTS_CATALOG.map(p => `- ${p.emoji} ${p.name}: $${p.price} UYU — Link: ${p.url}`).join('\n')}
+${products.map(p => `- ${p.emoji || '🌸'} ${p.name}: $${p.price} UYU — Link: ${CATALOG_URL}`).join('\n')}
+
+Información importante:
+- Envíos el mismo día en Montevideo para pedidos hechos antes de las ${settings.sameDayCutoff}
+- El costo de envío depende de la zona del barrio (quote_shipping te dice cuál es):
+${zones.map(zone => `  - ${zoneShippingText(zone)}`).join('\n')}
+- Pagamos con MercadoPago, tarjeta de crédito y débito
+- Entregamos ${deliveryDaysText(settings.closedWeekdays || [])}, en los horarios ${slots}${holidays.length ? `
+- No entregamos estos días: ${joinList(holidays)}` : ''}
+
+Reglas:
+1. Siempre respondé en español rioplatense con vos y voseo
+2. Usá emojis 🌸💐🌹
+3. Para vender usá las herramientas: search_products para precios y stock, update_cart para armar el carrito,
+   quote_shipping para el costo de envío y los horarios del barrio
+4. Antes de create_order pedí nombre, email, dirección, barrio y fecha de entrega, y confirmá el carrito y el total.
+   Después mandales el link de pago que devuelve la herramienta
+5. Para consultas por pedidos existentes usá order_status (solo ve los pedidos de este número)
+6. Nunca inventes precios, stock ni horarios: si la herramienta devuelve un error, explicalo con tus palabras
+7. Sé cálida, amable y entusiasta
+8. Si no podés resolver algo, deciles que los llamará un humano`;
+}
+
+// ===== BOT TOOLS (OpenAI function calling) =====
+const BOT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_products',
+      description: 'Busca productos activos del catálogo con precio y stock. Sin parámetros devuelve todo el catálogo.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Texto a buscar en el nombre, p. ej. "rosas"' },
+          category: { type: 'string', description: 'ramos, boxes, rosas...' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'quote_shipping',
+      description: 'Costo de envío para un barrio de Montevideo y horarios disponibles para una fecha.',
+      parameters: {
+        type: 'object',
+        properties: {
+          barrio: { type: 'string' },
+          date: { type: 'string', description: 'Fecha de entrega YYYY-MM-DD (opcional)' },
+        },
+        required: ['barrio'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_cart',
+      description: 'Agrega un producto al carrito o cambia su cantidad. qty 0 lo quita.',
+      parameters: {
+        type: 'object',
+        properties: {
+          sku: { type: 'string' },
+          qty: { type: 'integer', minimum: 0 },
+        },
+        required: ['sku', 'qty'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'view_cart',
+      description: 'Muestra el carrito actual con precios y subtotal.',
+      parameters: { type: 'object', properties: {} },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_order',
+      description: 'Crea el pedido con el carrito actual y devuelve el link de pago de MercadoPago.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Nombre de quien compra' },
+          email: { type: 'string' },
+          address: { type: 'string', description: 'Dirección de entrega' },
+          barrio: { type: 'string' },
+          deliveryDate: { type: 'string', description: 'YYYY-MM-DD' },
+          deliverySlot: { type: 'string', description: 'id del horario devuelto por quote_shipping' },
+          message: { type: 'string', description: 'Mensaje para la tarjeta (opcional)' },
+          couponCode: { type: 'string' },
+        },
+        required: ['name', 'email', 'address', 'barrio', 'deliveryDate'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'request_human',
+      description: 'Pasa la conversación a una persona del equipo. Usala si el cliente lo pide o si no podés resolver algo.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Motivo breve para el equipo' },
+        },
+        required: ['reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'order_status',
+      description: 'Estado de los pedidos hechos con el teléfono de esta conversación.',
+      parameters: {
+        type: 'object',
+        properties: {
+          orderId: { type: 'string', description: 'Número de pedido, p. ej. FB-2026-00042 (opcional)' },
+        },
+      },
+    },
+  },
+];
+
+// Orders whose phone ends with the same 8 digits as the WhatsApp number, whatever the formatting
+function phoneQuery(whatsappPhone) {
+  const last8 = String(whatsappPhone).replace(/\D/g, '').slice(-8);
+  return { 'customer.phone': { $regex: `${last8.split('').join('\\D*')}$` } };
+}
+
+async function cartSummary(chat) {
+  const products = await Product.find({ sku: { $in: chat.cart.map(i => i.sku) } });
+  const bySku = new Map(products.map(p => [p.sku, p]));
+  const items = chat.cart.map(i => {
+    const p = bySku.get(i.sku);
+    return { sku: i.sku, name: p ? p.name : i.sku, price: p ? p.price : null, qty: i.qty };
+  });
+  const subtotal = items.reduce((s, i) => s + (i.price || 0) * i.qty, 0);
+  return { items, subtotal };
+}
+
+function botOrderSummary(order, paymentLink) {
+  return {
+    orderId: order.orderId,
+    subtotal: order.subtotal,
+    discount: order.discount,
+    shipping: order.shipping,
+    total: order.total,
+    paymentLink,
+    payBefore: order.reservation.expiresAt,
+    trackingUrl: trackingUrl(order),
+  };
+}
+
+const botToolHandlers = {
+  async search_products({ query, category }) {
+    const filter = { active: true };
+    if (category) filter.category = category;
+    if (query) filter.name = { $regex: query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    const products = await Product.find(filter).sort({ name: 1 }).limit(20);
+    return products.map(p => ({
+      sku: p.sku, name: p.name, price: p.price, category: p.category,
+      inStock: p.stock > 0, description: p.description,
+    }));
+  },
+
+  async quote_shipping({ barrio, date }) {
+    const [zone, settings] = await Promise.all([findZone(barrio), getDeliverySettings()]);
+    const quote = {
+      zone: zone.name,
+      shipping: zone.shippingCost,
+      freeShippingFrom: zone.freeShippingFrom,
+      nextAvailableDate: nextAvailableDate(settings, zone),
+    };
+    if (date) {
+      const { slots, error } = slotsForDate(settings, zone, date);
+      if (error) quote.dateError = error;
+      quote.slots = (slots || []).map(slot => ({ id: slot.id, label: slot.label }));
+    }
+    return quote;
+  },
+
+  async update_cart({ sku, qty }, chat) {
+    const code = String(sku).toUpperCase();
+    const product = await Product.findOne({ sku: code, active: true });
+    if (!product) return { error: `No existe el producto ${sku}` };
+    if (qty > product.stock) return { error: `Solo quedan ${product.stock} unidades de ${product.name}` };
+
+    chat.cart = chat.cart.filter(i => i.sku !== code);
+    if (qty > 0) chat.cart.push({ sku: code, qty });
+    return cartSummary(chat);
+  },
+
+  async view_cart(args, chat) {
+    return cartSummary(chat);
+  },
+
+  async request_human({ reason }, chat) {
+    await startHandoff(chat, 'bot', reason);
+    return { ok: true, note: 'Avisale al cliente que una persona del equipo le va a escribir en breve' };
+  },
+
+  // Idempotent per chat and cart: the order id is stored on the chat before anything else
+  // happens, so a retried message returns that order instead of creating another one.
+  // pendingOrder is cleared together with the cart when the caller saves the chat.
+  async create_order(args, chat) {
+    if (!chat.cart.length) return { error: 'El carrito está vacío' };
+
+    const cartKey = chat.cart.map(i => `${i.sku}:${i.qty}`).sort().join(',');
+    if (chat.pendingOrder && chat.pendingOrder.cartKey === cartKey) {
+      const existing = await Order.findById(chat.pendingOrder.orderRef);
+      if (existing && existing.paymentStatus === 'pending' && existing.orderStatus === 'pending') {
+        chat.cart = [];
+        chat.pendingOrder = undefined;
+        return botOrderSummary(existing, existing.mpInitPoint);
+      }
+    }
+
+    const pendingOrder = { cartKey, orderRef: new mongoose.Types.ObjectId() };
+    await Chat.updateOne({ _id: chat._id }, { pendingOrder });
+    chat.pendingOrder = pendingOrder;
+
+    const customer = {
+      name: args.name, email: args.email, phone: chat.phone.replace('whatsapp:', ''),
+      address: args.address, barrio: args.barrio,
+      deliveryDate: args.deliveryDate, deliverySlot: args.deliverySlot, message: args.message,
+    };
+    const { order, checkout } = await createOrder({
+      _id: pendingOrder.orderRef,
+      customer,
+      items: chat.cart.map(i => ({ sku: i.sku, qty: i.qty })),
+      paymentMethod: 'mercadopago',
+      couponCode: args.couponCode,
+      source: 'whatsapp',
+    });
+    chat.cart = [];
+    chat.pendingOrder = undefined;
+
+    return botOrderSummary(order, checkout.paymentUrl);
+  },
+
+  async order_status({ orderId }, chat) {
+    const query = phoneQuery(chat.phone);
+    if (orderId) query.orderId = String(orderId).toUpperCase();
+    const orders = await Order.find(query).sort({ createdAt: -1 }).limit(3);
+    if (!orders.length) return { error: 'No encontramos pedidos para este número' };
+    return orders.map(o => ({
+      orderId: o.orderId,
+      orderStatus: o.orderStatus,
+      paymentStatus: o.paymentStatus,
+      total: o.total,
+      deliveryDate: o.customer.deliveryDate,
+      trackingUrl: trackingUrl(o),
+    }));
+  },
+};
+
+async function runBotTool(toolCall, chat) {
+  const handler = botToolHandlers[toolCall.function.name];
+  if (!handler) return { error: `Herramienta desconocida: ${toolCall.function.name}` };
+  try {
+    const args = JSON.parse(toolCall.function.arguments || '{}');
+    return await handler(args, chat);
+  } catch (err) {
+    if (err instanceof ApiError) return { error: err.message };
+    if (err instanceof z.ZodError) return { error: 'Datos inválidos', fields: fieldErrors(err) };
+    console.error(`Bot tool ${toolCall.function.name} error:`, err);
+    return { error: 'Error interno; ofrecé que lo contacte una persona del equipo' };
+  }
+}
+
+// The budget is checked before each completion, so a day can go over by at most one request
+async function aiBudgetExhausted() {
+  if (!OPENAI_DAILY_TOKEN_BUDGET) return false;
+  const today = await AiUsage.findById(montevideoNow().date).lean();
+  return Boolean(today && today.totalTokens >= OPENAI_DAILY_TOKEN_BUDGET);
+}
+
+// Adds completion.usage to the day's total and to the conversation (chat is saved by the caller)
+async function recordAiUsage(chat, usage) {
+  if (!usage) return;
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const totalTokens = usage.total_tokens || promptTokens + completionTokens;
+  chat.usage.promptTokens += promptTokens;
+  chat.usage.completionTokens += completionTokens;
+  chat.usage.totalTokens += totalTokens;
+  await AiUsage.updateOne(
+    { _id: montevideoNow().date },
+    { $inc: { promptTokens, completionTokens, totalTokens, requests: 1 } },
+    { upsert: true }
+  );
+}
+
+// Runs the completion/tool loop; every tool call and result is logged in chat.messages.
+// Once the daily token budget is spent the chat goes to a person with a canned reply.
+async function runBot(chat) {
+  // Tool exchanges are kept for the log but not replayed: the cart lives in the Chat document
+  const history = chat.messages
+    .filter(m => ['user', 'assistant'].includes(m.role) && m.content && !(m.toolCalls && m.toolCalls.length))
+    .slice(-BOT_HISTORY)
+    .map(m => ({ role: m.role, content: m.content }));
+
+  const messages = [{ role: 'system', content: await buildSystemPrompt() }, ...history];
+
+  for (let round = 0; round < BOT_MAX_TOOL_ROUNDS; round++) {
+    if (await aiBudgetExhausted()) {
+      await startHandoff(chat, 'bot', 'Se agotó el presupuesto diario de OpenAI');
+      return AI_BUDGET_REPLY;
+    }
+    const completion = await openai.chat.completions.create({
+      model: BOT_MODEL,
+      messages,
+      tools: BOT_TOOLS,
+      max_tokens: 500,
+      temperature: 0.7,
+    });
+    await recordAiUsage(chat, completion.usage);
+    const message = completion.choices[0].message;
+    if (!message.tool_calls || !message.tool_calls.length) return message.content;
 
-Información importante:
-- Envíos el mismo día en Montevideo
-- Envío gratis para pedidos +$2.000 UYU
-- Pagamos con MercadoPago, tarjeta de crédito y débito
-- Entregamos de lunes a sábado de 9:00 a 19:00
+    messages.push(message);
+    chat.messages.push({
+      role: 'assistant',
+      content: message.content || '',
+      toolCalls: message.tool_calls.map(tc => ({ id: tc.id, name: tc.function.name, arguments: tc.function.arguments })),
+      timestamp: new Date(),
+    });
 
-Reglas:
-1. Siempre respondé en español rioplatense con vos y voseo
-2. Usá emojis 🌸💐🌹
-3. Cuando alguien quiera comprar o preguntar por un producto específico, dales el link del producto
-4. Si necesitan envío urgente, pediles dirección y acordá el horario
-5. Sé cálida, amable y entusiasta
-6. Si no podés resolver algo, deciles que los llamará un humano`;
+    for (const toolCall of message.tool_calls) {
+      const content = JSON.stringify(await runBotTool(toolCall, chat));
+      messages.push({ role: 'tool', tool_call_id: toolCall.id, content });
+      chat.messages.push({
+        role: 'tool', name: toolCall.function.name, toolCallId: toolCall.id, content, timestamp: new Date(),
+      });
+    }
+  }
+
+  return 'Perdón, me enredé un poco 🙈 ¿Me lo repetís? Si preferís, te contacta una persona del equipo.';
+}
 
 app.post('/api/whatsapp-webhook', async (req, res) => {
+  if (!verifyTwilioSignature(req)) return res.sendStatus(403);
+
+  const { MessageSid } = req.body;
   try {
     const { Body: userMsg, From: userPhone, ProfileName } = req.body;
 
     if (!userMsg || !userPhone) return res.sendStatus(200);
+    if (MessageSid && !(await claimWebhookEvent('twilio', MessageSid))) return res.sendStatus(200);
 
     // Load or create conversation
     let chat = await Chat.findOne({ phone: userPhone });
     if (!chat) {
       chat = new Chat({ phone: userPhone, messages: [] });
     }
+    if (ProfileName) chat.profileName = ProfileName;
 
     // Add user message
     chat.messages.push({ role: 'user', content: userMsg, timestamp: new Date() });
+    chat.unreadCount += 1;
+    chat.updatedAt = new Date();
 
-    // Keep last 20 messages for context
-    const recentMessages = chat.messages.slice(-20).map(m => ({
-      role: m.role,
-      content: m.content,
-    }));
+    // Flooding: keep the messages for the inbox but don't spend OpenAI / Twilio on them
+    if (!chat.handoff.active && await hitRateLimit('whatsapp', 'phone', userPhone)) {
+      await chat.save();
+      res.set('Content-Type', 'text/xml');
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?><Response></Response>`);
+    }
 
-    // Call OpenAI
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        ...recentMessages,
-      ],
-      max_tokens: 500,
-      temperature: 0.7,
-    });
+    if (!chat.handoff.active && wantsHuman(userMsg)) {
+      await startHandoff(chat, 'keyword', userMsg);
+      chat.messages.push({
+        role: 'assistant',
+        content: '¡Dale! 🌸 Ya le aviso al equipo, en breve te escribe una persona.',
+        timestamp: new Date(),
+      });
+      await chat.save();
+      await enqueueWhatsApp(userPhone, chat.messages[chat.messages.length - 1].content, `chat:${userPhone}`);
+      res.set('Content-Type', 'text/xml');
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?><Response></Response>`);
+    }
+
+    // A person is handling this chat: store the message and stay quiet
+    if (chat.handoff.active) {
+      chat.handoff.lastActivityAt = new Date();
+      await chat.save();
+      res.set('Content-Type', 'text/xml');
+      return res.send(`<?xml version="1.0" encoding="UTF-8"?><Response></Response>`);
+    }
 
-    const botReply = completion.choices[0].message.content;
+    // Call OpenAI (with tools)
+    const botReply = await runBot(chat);
 
     // Save bot reply
     chat.messages.push({ role: 'assistant', content: botReply, timestamp: new Date() });
@@ -469,61 +4289,540 @@ app.post('/api/whatsapp-webhook', async (req, res) => {
     await chat.save();
 
     // Send via Twilio WhatsApp
-    await twilioClient.messages.create({
-      body: botReply,
-      from: TWILIO_WHATSAPP_FROM,
-      to: userPhone,
-    });
+    await enqueueWhatsApp(userPhone, botReply, `chat:${userPhone}`);
 
     // Respond TwiML
     res.set('Content-Type', 'text/xml');
     res.send(`<?xml version="1.0" encoding="UTF-8"?><Response></Response>`);
   } catch (err) {
     console.error('WhatsApp error:', err);
+    if (MessageSid) await unclaimWebhookEvent('twilio', MessageSid).catch(() => {});
     res.sendStatus(500);
   }
 });
 
+// ============================================================
+// ROUTES — WHATSAPP INBOX (admin)
+// ============================================================
+
+const zPage = z.coerce.number().int().min(1).default(1);
+const zLimit = (fallback, max) => z.coerce.number().int().min(1).max(max).default(fallback);
+
+const InboxQuery = z.object({
+  page: zPage,
+  limit: zLimit(20, 100),
+  handoff: zBoolean.optional(),
+  mine: zBoolean.optional(),
+  unread: zBoolean.optional(),
+});
+
+// GET /api/inbox?handoff=true&mine=true&page=1&limit=20
+app.get('/api/inbox', requireRole('florist', 'marketing'), validate({ query: InboxQuery }), async (req, res) => {
+  const { page, limit } = req.query;
+  const query = {};
+  if (req.query.handoff) query['handoff.active'] = true;
+  if (req.query.mine) query.assignedTo = req.admin._id;
+  if (req.query.unread) query.unreadCount = { $gt: 0 };
+
+  const [chats, total, unread] = await Promise.all([
+    Chat.find(query)
+      .select({ phone: 1, profileName: 1, handoff: 1, assignedTo: 1, unreadCount: 1, usage: 1, updatedAt: 1, messages: { $slice: -1 } })
+      .populate('assignedTo', 'name email')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Chat.countDocuments(query),
+    Chat.aggregate([{ $group: { _id: null, chats: { $sum: { $cond: [{ $gt: ['$unreadCount', 0] }, 1, 0] } }, messages: { $sum: '$unreadCount' } } }]),
+  ]);
+
+  res.json({
+    page, limit, total,
+    unread: unread[0] ? { chats: unread[0].chats, messages: unread[0].messages } : { chats: 0, messages: 0 },
+    chats: chats.map(c => ({
+      id: c._id,
+      phone: c.phone,
+      profileName: c.profileName,
+      handoff: c.handoff,
+      assignedTo: c.assignedTo,
+      unreadCount: c.unreadCount,
+      tokens: c.usage.totalTokens,
+      updatedAt: c.updatedAt,
+      lastMessage: c.messages[0] || null,
+    })),
+  });
+});
+
+// Loads the chat for inbox routes (the id is validated by zIdParam); answers 404 itself
+async function findInboxChat(req, res) {
+  const chat = await Chat.findById(req.params.id);
+  if (!chat) sendError(res, 404, 'Not found');
+  return chat;
+}
+
+const MessagesQuery = z.object({ page: zPage, limit: zLimit(50, 200), tools: zBoolean.optional() });
+
+// GET /api/inbox/:id/messages?page=1&limit=50 — Newest page first; tool logs only with ?tools=true
+app.get('/api/inbox/:id/messages', requireRole('florist', 'marketing'), validate({ params: zIdParam, query: MessagesQuery }), async (req, res) => {
+  const chat = await findInboxChat(req, res);
+  if (!chat) return;
+
+  const { page, limit } = req.query;
+  const all = req.query.tools
+    ? chat.messages
+    : chat.messages.filter(m => m.role !== 'tool' && !(m.toolCalls && m.toolCalls.length));
+
+  const end = Math.max(all.length - (page - 1) * limit, 0);
+  res.json({
+    page, limit, total: all.length,
+    messages: all.slice(Math.max(end - limit, 0), end),
+  });
+});
+
+// POST /api/inbox/:id/read
+app.post('/api/inbox/:id/read', requireRole('florist', 'marketing'), validate({ params: zIdParam }), async (req, res) => {
+  const chat = await findInboxChat(req, res);
+  if (!chat) return;
+  chat.unreadCount = 0;
+  await chat.save();
+  res.json({ success: true });
+});
+
+// POST /api/inbox/:id/assign — { userId } (null to unassign)
+app.post('/api/inbox/:id/assign', requireRole('florist', 'marketing'), validate({ params: zIdParam, body: z.object({ userId: zObjectId.nullable().optional() }) }), async (req, res) => {
+  const chat = await findInboxChat(req, res);
+  if (!chat) return;
+
+  const { userId } = req.body;
+  if (userId) {
+    const user = await AdminUser.findOne({ _id: userId, active: true });
+    if (!user) return sendError(res, 400, 'Usuario inválido');
+  }
+  chat.assignedTo = userId || null;
+  await chat.save();
+  res.json({ success: true, assignedTo: chat.assignedTo });
+});
+
+// POST /api/inbox/:id/handoff — { active, reason } take over from the bot or hand back
+const HandoffBody = z.object({ active: zBoolean, reason: zText(300).optional() });
+
+app.post('/api/inbox/:id/handoff', requireRole('florist', 'marketing'), validate({ params: zIdParam, body: HandoffBody }), async (req, res) => {
+  const chat = await findInboxChat(req, res);
+  if (!chat) return;
+
+  if (req.body.active) {
+    await startHandoff(chat, 'admin', req.body.reason);
+    if (!chat.assignedTo) chat.assignedTo = req.admin._id;
+  } else if (chat.handoff.active) {
+    endHandoff(chat, `Devuelto al bot por ${req.admin.email}`);
+  }
+  await chat.save();
+  res.json({ success: true, handoff: chat.handoff });
+});
+
+// POST /api/inbox/:id/reply — { text } manual answer; takes the chat over from the bot
+const ReplyBody = z.object({ text: zText(4000).min(1, 'El mensaje está vacío') });
+
+app.post('/api/inbox/:id/reply', requireRole('florist', 'marketing'), validate({ params: zIdParam, body: ReplyBody }), async (req, res) => {
+  const chat = await findInboxChat(req, res);
+  if (!chat) return;
+
+  const { text } = req.body;
+
+  if (!chat.handoff.active) await startHandoff(chat, 'admin', 'Respuesta manual');
+  if (!chat.assignedTo) chat.assignedTo = req.admin._id;
+  chat.handoff.lastActivityAt = new Date();
+  chat.messages.push({ role: 'assistant', content: text, sentBy: req.admin.email, timestamp: new Date() });
+  chat.unreadCount = 0;
+  chat.updatedAt = new Date();
+  await chat.save();
+
+  // WhatsApp only allows free-form messages within 24h of the customer's last one;
+  // otherwise Twilio rejects it and the job ends up dead in /api/jobs
+  await enqueueWhatsApp(chat.phone, text, `chat:${chat.phone}`);
+  res.json({ success: true });
+});
+
 // GET chat history (admin)
-app.get('/api/chats', async (req, res) => {
+app.get('/api/chats', requireRole('florist', 'marketing'), async (req, res) => {
   const chats = await Chat.find().sort({ updatedAt: -1 }).limit(50);
   res.json(chats);
 });
 
+// ============================================================
+// ROUTES — MESSAGE QUEUE (admin)
+// ============================================================
+
+const JOB_CHANNELS = ['email', 'whatsapp'];
+const JobsQuery = z.object({
+  status: z.enum(['pending', 'processing', 'sent', 'dead']).optional(),
+  channel: z.enum(JOB_CHANNELS).optional(),
+  limit: zLimit(100, 500),
+});
+
+// GET /api/jobs?status=dead&channel=email — Inspect the outbound queue
+app.get('/api/jobs', requireRole('owner'), validate({ query: JobsQuery }), async (req, res) => {
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.channel) query.channel = req.query.channel;
+
+  const [jobs, counts] = await Promise.all([
+    MessageJob.find(query).sort({ createdAt: -1 }).limit(req.query.limit),
+    MessageJob.aggregate([{ $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }]),
+  ]);
+
+  res.json({
+    counts: counts.map(c => ({ channel: c._id.channel, status: c._id.status, count: c.count })),
+    jobs,
+  });
+});
+
+// POST /api/jobs/:id/retry — Re-queue a dead job
+app.post('/api/jobs/:id/retry', requireRole('owner'), validate({ params: zIdParam }), async (req, res) => {
+  const job = await MessageJob.findOneAndUpdate(
+    { _id: req.params.id, status: 'dead' },
+    { status: 'pending', attempts: 0, runAt: new Date(), lastError: null },
+    { new: true }
+  );
+  if (!job) return sendError(res, 404, 'Not found');
+  kickQueue();
+  res.json(job);
+});
+
+// POST /api/jobs/retry-dead — Re-queue every dead job (optionally one channel)
+app.post('/api/jobs/retry-dead', requireRole('owner'), validate({ body: z.object({ channel: z.enum(JOB_CHANNELS).optional() }) }), async (req, res) => {
+  const query = { status: 'dead' };
+  if (req.body.channel) query.channel = req.body.channel;
+  const result = await MessageJob.updateMany(query, {
+    status: 'pending', attempts: 0, runAt: new Date(), lastError: null,
+  });
+  kickQueue();
+  res.json({ success: true, requeued: result.modifiedCount });
+});
+
 // ============================================================
 // ANALYTICS ENDPOINTS
 // ============================================================
-app.get('/api/analytics/summary', async (req, res) => {
-  const now = new Date();
-  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+// Orders that were paid and kept at least part of the money
+const PAID_STATUSES = ['approved', 'partially_refunded'];
+const NET_REVENUE = { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] };
+const SERIES_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' }; // %G = ISO week-year
+
+// Calendar date (YYYY-MM-DD) in `timezone` for an instant
+function dateInZone(instant, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(instant);
+}
+
+// Instant when `dateStr` starts in `timezone` (handles DST by re-checking the offset)
+function startOfDayInZone(dateStr, timezone) {
+  const utcMidnight = Date.UTC(...dateStr.split('-').map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+  let instant = utcMidnight;
+  for (let i = 0; i < 2; i++) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }).formatToParts(new Date(instant)).map(p => [p.type, Number(p.value)]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    instant = utcMidnight - (asUtc - instant);
+  }
+  return new Date(instant);
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=America/Montevideo — both days inclusive.
+// Defaults to the last 30 days, or the current month when defaultToMonth.
+const AnalyticsQuery = z.object({
+  from: zDate.optional(),
+  to: zDate.optional(),
+  tz: z.string().max(64).refine(tz => {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: tz });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }, 'Zona horaria inválida').optional(),
+});
 
-  const [totalOrders, monthOrders, totalLeads, monthLeads, revenueAgg] = await Promise.all([
-    Order.countDocuments({ paymentStatus: 'approved' }),
-    Order.countDocuments({ paymentStatus: 'approved', createdAt: { $gte: startOfMonth } }),
+// Expects a query already parsed by AnalyticsQuery
+function analyticsRange(query, { defaultToMonth = false } = {}) {
+  const timezone = query.tz || TIMEZONE;
+  const today = dateInZone(new Date(), timezone);
+  const from = query.from || (defaultToMonth ? `${today.slice(0, 8)}01` : addDays(today, -29));
+  const to = query.to || today;
+  if (from > to) throw new ApiError(400, '"from" es posterior a "to"', { code: 'invalid_range', fields: { from: 'Posterior a "to"' } });
+
+  return {
+    from, to, timezone,
+    start: startOfDayInZone(from, timezone),
+    end: startOfDayInZone(addDays(to, 1), timezone),
+  };
+}
+
+function paidInRange(range) {
+  return { paymentStatus: { $in: PAID_STATUSES }, createdAt: { $gte: range.start, $lt: range.end } };
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Every analytics route validates ?from&to&tz (plus its own extra params) and echoes the range it used
+function analyticsRoute(handler, { query = AnalyticsQuery, ...options } = {}) {
+  const parse = validate({ query });
+  return [parse, async (req, res) => {
+    const range = analyticsRange(req.query, options);
+    const data = await handler(range, req);
+    res.json({ range: { from: range.from, to: range.to, timezone: range.timezone }, ...data });
+  }];
+}
+
+// Defaults to the current month (Montevideo); the month* keys refer to the selected range
+app.get('/api/analytics/summary', requireRole('marketing'), analyticsRoute(async range => {
+  const inRange = { $gte: range.start, $lt: range.end };
+
+  const [totalOrders, monthOrders, totalLeads, monthLeads, revenueAgg, refundAgg] = await Promise.all([
+    Order.countDocuments({ paymentStatus: { $in: PAID_STATUSES } }),
+    Order.countDocuments(paidInRange(range)),
     Lead.countDocuments(),
-    Lead.countDocuments({ createdAt: { $gte: startOfMonth } }),
+    Lead.countDocuments({ createdAt: inRange }),
+    Order.aggregate([
+      { $match: paidInRange(range) },
+      { $group: {
+        _id: null,
+        total: { $sum: NET_REVENUE },
+        avg: { $avg: '$total' },
+        discounts: { $sum: '$discount' },
+        couponOrders: { $sum: { $cond: [{ $ifNull: ['$coupon.code', false] }, 1, 0] } },
+      }},
+    ]),
     Order.aggregate([
-      { $match: { paymentStatus: 'approved', createdAt: { $gte: startOfMonth } } },
-      { $group: { _id: null, total: { $sum: '$total' }, avg: { $avg: '$total' } } },
+      { $unwind: '$refunds' },
+      { $match: { 'refunds.at': inRange } },
+      { $group: { _id: null, total: { $sum: '$refunds.amount' }, count: { $sum: 1 } } },
     ]),
   ]);
 
-  const revenue = revenueAgg[0] || { total: 0, avg: 0 };
+  const revenue = revenueAgg[0] || { total: 0, avg: 0, discounts: 0, couponOrders: 0 };
+  const refunds = refundAgg[0] || { total: 0, count: 0 };
 
-  res.json({
+  return {
     totalOrders, monthOrders,
     totalLeads, monthLeads,
     monthRevenue: revenue.total,
     avgTicket: Math.round(revenue.avg),
-  });
-});
+    monthDiscounts: revenue.discounts,
+    monthCouponOrders: revenue.couponOrders,
+    monthRefunds: refunds.total,
+    monthRefundCount: refunds.count,
+  };
+}, { defaultToMonth: true }));
+
+// Revenue by product, best sellers first. The order discount is spread over its items;
+// refunds aren't tied to items, so this is revenue before refunds.
+// ?limit=10 for the top products only
+app.get('/api/analytics/products', requireRole('marketing'), analyticsRoute(async (range, req) => {
+  const limit = req.query.limit || 0;
+  const pipeline = [
+    { $match: paidInRange(range) },
+    { $addFields: {
+      factor: { $cond: [{ $gt: ['$subtotal', 0] }, { $divide: [{ $subtract: ['$subtotal', '$discount'] }, '$subtotal'] }, 1] },
+    }},
+    { $unwind: '$items' },
+    { $group: {
+      _id: '$items.sku',
+      name: { $last: '$items.name' },
+      emoji: { $last: '$items.emoji' },
+      units: { $sum: '$items.qty' },
+      orders: { $sum: 1 },
+      revenue: { $sum: { $multiply: ['$items.price', '$items.qty', '$factor'] } },
+    }},
+    { $sort: { revenue: -1 } },
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+
+  const products = await Order.aggregate(pipeline);
+  return {
+    products: products.map(({ _id, revenue, ...p }) => ({ sku: _id, ...p, revenue: Math.round(revenue) })),
+  };
+}, { query: AnalyticsQuery.extend({ limit: z.coerce.number().int().min(1).max(100).optional() }) }));
+
+app.get('/api/analytics/barrios', requireRole('marketing'), analyticsRoute(async range => {
+  const barrios = await Order.aggregate([
+    { $match: paidInRange(range) },
+    { $group: {
+      _id: '$customer.barrio',
+      zone: { $last: '$deliveryZone' },
+      orders: { $sum: 1 },
+      revenue: { $sum: NET_REVENUE },
+    }},
+    { $sort: { revenue: -1 } },
+  ]);
+  return {
+    barrios: barrios.map(({ _id, ...b }) => ({ barrio: _id || 'Sin barrio', ...b, avgTicket: Math.round(b.revenue / b.orders) })),
+  };
+}));
+
+// Customers (by email) with a paid order in the range; their lifetime counts every
+// paid order up to the end of the range
+app.get('/api/analytics/customers', requireRole('marketing'), analyticsRoute(async range => {
+  const [agg] = await Order.aggregate([
+    { $match: { paymentStatus: { $in: PAID_STATUSES }, createdAt: { $lt: range.end }, 'customer.email': { $nin: [null, ''] } } },
+    { $group: {
+      _id: { $toLower: '$customer.email' },
+      orders: { $sum: 1 },
+      value: { $sum: NET_REVENUE },
+      lastOrderAt: { $max: '$createdAt' },
+    }},
+    { $match: { lastOrderAt: { $gte: range.start } } },
+    { $group: {
+      _id: null,
+      customers: { $sum: 1 },
+      repeatCustomers: { $sum: { $cond: [{ $gte: ['$orders', 2] }, 1, 0] } },
+      orders: { $sum: '$orders' },
+      value: { $sum: '$value' },
+    }},
+  ]);
+
+  const c = agg || { customers: 0, repeatCustomers: 0, orders: 0, value: 0 };
+  return {
+    customers: c.customers,
+    repeatCustomers: c.repeatCustomers,
+    repeatRate: percent(c.repeatCustomers, c.customers),
+    avgOrdersPerCustomer: c.customers ? Math.round((c.orders / c.customers) * 100) / 100 : 0,
+    avgLifetimeValue: c.customers ? Math.round(c.value / c.customers) : 0,
+  };
+}));
+
+// Leads signed up in the range → started a checkout → paid, overall and per lead source
+app.get('/api/analytics/funnel', requireRole('marketing'), analyticsRoute(async range => {
+  const sources = await Lead.aggregate([
+    { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+    { $lookup: {
+      from: Order.collection.name,
+      let: { email: '$email', since: '$createdAt' },
+      pipeline: [
+        { $match: { $expr: { $and: [
+          { $eq: [{ $toLower: '$customer.email' }, { $toLower: '$$email' }] },
+          { $gte: ['$createdAt', '$$since'] },
+        ]}}},
+        { $project: { paymentStatus: 1 } },
+      ],
+      as: 'orders',
+    }},
+    { $group: {
+      _id: '$source',
+      leads: { $sum: 1 },
+      checkouts: { $sum: { $cond: [{ $gt: [{ $size: '$orders' }, 0] }, 1, 0] } },
+      buyers: { $sum: { $cond: [{ $gt: [{ $size: { $filter: {
+        input: '$orders', cond: { $in: ['$$this.paymentStatus', PAID_STATUSES] },
+      }}}, 0] }, 1, 0] } },
+    }},
+    { $sort: { leads: -1 } },
+  ]);
+
+  const total = sources.reduce((t, s) => ({
+    leads: t.leads + s.leads, checkouts: t.checkouts + s.checkouts, buyers: t.buyers + s.buyers,
+  }), { leads: 0, checkouts: 0, buyers: 0 });
+  const rates = s => ({ ...s, checkoutRate: percent(s.checkouts, s.leads), conversionRate: percent(s.buyers, s.leads) });
+
+  return {
+    ...rates(total),
+    bySource: sources.map(({ _id, ...s }) => rates({ source: _id, ...s })),
+  };
+}));
+
+// Every checkout in the range by payment method, with how many ended up paid
+app.get('/api/analytics/payment-methods', requireRole('marketing'), analyticsRoute(async range => {
+  const methods = await Order.aggregate([
+    { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+    { $group: {
+      _id: '$paymentMethod',
+      orders: { $sum: 1 },
+      paid: { $sum: { $cond: [{ $in: ['$paymentStatus', PAID_STATUSES] }, 1, 0] } },
+      revenue: { $sum: { $cond: [{ $in: ['$paymentStatus', PAID_STATUSES] }, NET_REVENUE, 0] } },
+    }},
+    { $sort: { revenue: -1 } },
+  ]);
+
+  const totalPaid = methods.reduce((s, m) => s + m.paid, 0);
+  return {
+    methods: methods.map(({ _id, ...m }) => ({
+      method: _id || 'desconocido',
+      label: PAYMENT_PROVIDERS[_id] ? PAYMENT_PROVIDERS[_id].label : _id,
+      ...m,
+      share: percent(m.paid, totalPaid),
+      paidRate: percent(m.paid, m.orders),
+    })),
+  };
+}));
 
-app.get('/api/analytics/revenue-weekly', async (req, res) => {
+// ?interval=day|week|month — buckets in the requested timezone; weeks are ISO weeks
+// keyed by their week-year ("2026-W01"), so they never merge across years
+app.get('/api/analytics/timeseries', requireRole('marketing'), analyticsRoute(async (range, req) => {
+  const { interval } = req.query;
+
+  const series = await Order.aggregate([
+    { $match: paidInRange(range) },
+    { $group: {
+      _id: { $dateToString: { date: '$createdAt', format: SERIES_FORMATS[interval], timezone: range.timezone } },
+      revenue: { $sum: NET_REVENUE },
+      orders: { $sum: 1 },
+      discounts: { $sum: '$discount' },
+    }},
+    { $sort: { _id: 1 } },
+  ]);
+  return { interval, series: series.map(({ _id, ...s }) => ({ period: _id, ...s })) };
+}, { query: AnalyticsQuery.extend({ interval: z.enum(Object.keys(SERIES_FORMATS)).default('day') }) }));
+
+// OpenAI tokens per day against the budget (days are Montevideo dates whatever ?tz says),
+// plus the conversations that spent the most (lifetime totals of chats active in the range)
+app.get('/api/analytics/ai-usage', requireRole('marketing'), analyticsRoute(async range => {
+  const [days, chats] = await Promise.all([
+    AiUsage.find({ _id: { $gte: range.from, $lte: range.to } }).sort({ _id: 1 }).lean(),
+    Chat.find({ 'usage.totalTokens': { $gt: 0 }, updatedAt: { $gte: range.start, $lt: range.end } })
+      .select('phone profileName usage updatedAt')
+      .sort({ 'usage.totalTokens': -1 })
+      .limit(10)
+      .lean(),
+  ]);
+  const sum = field => days.reduce((total, d) => total + d[field], 0);
+  return {
+    dailyBudget: OPENAI_DAILY_TOKEN_BUDGET || null,
+    totals: { requests: sum('requests'), promptTokens: sum('promptTokens'), completionTokens: sum('completionTokens'), totalTokens: sum('totalTokens') },
+    days: days.map(({ _id, ...d }) => ({ date: _id, ...d, overBudget: Boolean(OPENAI_DAILY_TOKEN_BUDGET) && d.totalTokens >= OPENAI_DAILY_TOKEN_BUDGET })),
+    topChats: chats.map(c => ({ id: c._id, phone: c.phone, profileName: c.profileName, ...c.usage, updatedAt: c.updatedAt })),
+  };
+}));
+
+// Abandoned checkout recovery: reminders sent in the range and how many ended up paid
+app.get('/api/analytics/recovery', requireRole('marketing'), analyticsRoute(async range => {
+  // Skipped orders never got a reminder, so paying later doesn't make them recovered
+  const recovered = { $and: [{ $not: [{ $ifNull: ['$recovery.skipped', false] }] }, { $in: ['$paymentStatus', PAID_STATUSES] }] };
+  const [agg] = await Order.aggregate([
+    { $match: { 'recovery.sentAt': { $gte: range.start, $lt: range.end } } },
+    { $group: {
+      _id: null,
+      reminders: { $sum: { $cond: [{ $ifNull: ['$recovery.skipped', false] }, 0, 1] } },
+      skipped: { $sum: { $cond: [{ $ifNull: ['$recovery.skipped', false] }, 1, 0] } },
+      recovered: { $sum: { $cond: [recovered, 1, 0] } },
+      recoveredRevenue: { $sum: { $cond: [recovered, NET_REVENUE, 0] } },
+      withCoupon: { $sum: { $cond: [{ $ifNull: ['$recovery.couponCode', false] }, 1, 0] } },
+      cancelled: { $sum: { $cond: [{ $eq: ['$orderStatus', 'cancelled'] }, 1, 0] } },
+    }},
+  ]);
+
+  const { _id, ...stats } = agg || { reminders: 0, skipped: 0, recovered: 0, recoveredRevenue: 0, withCoupon: 0, cancelled: 0 };
+  return { ...stats, conversionRate: percent(stats.recovered, stats.reminders) };
+}));
+
+// Last 8 ISO weeks (Montevideo), kept for the dashboard; see /api/analytics/timeseries
+app.get('/api/analytics/revenue-weekly', requireRole('marketing'), async (req, res) => {
   const weeks = await Order.aggregate([
-    { $match: { paymentStatus: 'approved' } },
+    { $match: { paymentStatus: { $in: PAID_STATUSES } } },
     { $group: {
-      _id: { $week: '$createdAt' },
-      revenue: { $sum: '$total' },
+      _id: { $dateToString: { date: '$createdAt', format: SERIES_FORMATS.week, timezone: TIMEZONE } },
+      revenue: { $sum: NET_REVENUE },
       orders: { $sum: 1 },
     }},
     { $sort: { '_id': -1 } },
@@ -532,18 +4831,380 @@ app.get('/api/analytics/revenue-weekly', async (req, res) => {
   res.json(weeks.reverse());
 });
 
+// ============================================================
+// ROUTES — EMAIL TEMPLATES (admin)
+// ============================================================
+// Edits are stored per language and win over the files in emails/; deleting one
+// restores the default.
+
+const TemplateParams = z.object({
+  name: z.enum([...Object.keys(EMAIL_TEMPLATES), ...Object.keys(EMAIL_PARTIALS)], { message: 'Plantilla desconocida' }),
+  lang: z.enum(EMAIL_LANGS, { message: 'Idioma no soportado' }),
+});
+
+// Mustache syntax errors (an unclosed {{#section}}...) are reported on the field
+const zMustache = schema => schema.superRefine((source, ctx) => {
+  try {
+    Mustache.parse(source);
+  } catch (err) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: err.message });
+  }
+});
+const TemplateBody = z.object({
+  subject: zMustache(zText(300)).optional(),
+  html: zMustache(z.string().min(1, 'Falta el HTML').max(100000)),
+  text: zMustache(z.string().max(50000)).optional(),
+});
+
+// GET /api/email-templates — Templates and partials, with which languages were edited
+app.get('/api/email-templates', requireRole('marketing'), async (req, res) => {
+  const saved = await EmailTemplate.find().select('name lang updatedBy updatedAt').lean();
+  const entries = [
+    ...Object.entries(EMAIL_TEMPLATES).map(([name, t]) => ({ name, description: t.description, partial: false })),
+    ...Object.entries(EMAIL_PARTIALS).map(([name, description]) => ({ name, description, partial: true })),
+  ];
+  res.json(entries.map(entry => ({
+    ...entry,
+    languages: EMAIL_LANGS.map(lang => {
+      const edit = saved.find(t => t.name === entry.name && t.lang === lang);
+      return {
+        lang,
+        customized: Boolean(edit),
+        hasDefault: Boolean(readDefaultTemplate(entry.name, lang)),
+        updatedBy: edit && edit.updatedBy,
+        updatedAt: edit && edit.updatedAt,
+      };
+    }),
+  })));
+});
+
+// GET /api/email-templates/:name/:lang — Current version plus the file default to compare
+app.get('/api/email-templates/:name/:lang', requireRole('marketing'), validate({ params: TemplateParams }), async (req, res) => {
+  const { name, lang } = req.params;
+  const template = await loadEmailTemplate(name, lang);
+  res.json({
+    ...template,
+    name,
+    lang,
+    fallbackLang: template.lang !== lang ? template.lang : undefined, // Sin versión propia en este idioma
+    partial: Boolean(EMAIL_PARTIALS[name]),
+    default: readDefaultTemplate(name, lang),
+  });
+});
+
+// PUT /api/email-templates/:name/:lang — { subject, html, text }
+app.put('/api/email-templates/:name/:lang', requireRole('marketing'), validate({ params: TemplateParams, body: TemplateBody }), async (req, res) => {
+  const { name, lang } = req.params;
+  const { subject = '', html: markup, text = '' } = req.body;
+  if (!EMAIL_PARTIALS[name] && !subject) {
+    throw new ApiError(400, 'Falta el asunto', { code: 'validation_error', fields: { subject: 'Falta el asunto' } });
+  }
+  const template = await EmailTemplate.findOneAndUpdate(
+    { name, lang },
+    { subject, html: markup, text, updatedBy: req.admin.email, updatedAt: new Date() },
+    { upsert: true, new: true, runValidators: true }
+  );
+  res.json(template);
+});
+
+// DELETE /api/email-templates/:name/:lang — Back to the default in emails/
+app.delete('/api/email-templates/:name/:lang', requireRole('marketing'), validate({ params: TemplateParams }), async (req, res) => {
+  const { deletedCount } = await EmailTemplate.deleteOne(req.params);
+  if (!deletedCount) return sendError(res, 404, 'La plantilla no tenía cambios');
+  res.json({ success: true });
+});
+
+// POST /api/email-templates/:name/:lang/preview?orderId=&email=&status=
+// Renders with a real order / lead (the latest if none is given) or built-in sample data;
+// real orders only for florists and owners, marketing sees the sample order. An optional
+// body { subject, html, text } previews unsaved changes; for a partial the preview is the
+// order confirmation using that header/footer.
+const PreviewQuery = z.object({
+  orderId: z.string().trim().toUpperCase().max(40).optional(),
+  email: zEmail.optional(),
+  status: z.enum(['preparing', 'shipped', 'delivered', 'cancelled']).optional(),
+});
+
+app.post('/api/email-templates/:name/:lang/preview', requireRole('marketing', 'florist'), validate({ params: TemplateParams, query: PreviewQuery, body: TemplateBody.partial() }), async (req, res) => {
+  const { name, lang } = req.params;
+  const target = EMAIL_PARTIALS[name] ? 'order-confirmation' : name;
+  const draft = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined));
+  const view = await emailPreviewView(target, lang, req.query, { realOrders: ['owner', 'florist'].includes(req.admin.role) });
+  res.json(await renderEmail(target, lang, view, Object.keys(draft).length ? { [name]: draft } : {}));
+});
+
+// ============================================================
+// ROUTES — EXPORT & IMPORT (CSV / XLSX)
+// ============================================================
+const csvBody = bodyParser.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' });
+
+// Headers are sent once the first row streams; later failures can only cut the file short
+// (the error handler closes the connection)
+const ExportFormat = z.object({ format: z.enum(['csv', 'xlsx'], { message: 'format debe ser csv o xlsx' }).default('csv') });
+const zCsvList = z.string().max(500).optional();
+const OrderExportQuery = ExportFormat.extend({
+  from: zDate.optional(),
+  to: zDate.optional(),
+  status: zCsvList,
+  paymentStatus: zCsvList,
+  barrio: zCsvList,
+});
+const LeadExportQuery = ExportFormat.extend({
+  from: zDate.optional(),
+  to: zDate.optional(),
+  tag: zText(60).optional(),
+  source: zText(60).optional(),
+});
+const ImportQuery = z.object({ dryRun: zBoolean.default(false) });
+
+// GET /api/export/orders?format=csv|xlsx&from&to&status&paymentStatus&barrio
+app.get('/api/export/orders', requireRole('florist'), validate({ query: OrderExportQuery }), async (req, res) => {
+  const cursor = Order.find(orderExportFilter(req.query)).sort({ createdAt: 1 }).lean().cursor();
+  await streamSpreadsheet(res, { format: req.query.format, filename: 'pedidos', columns: ORDER_COLUMNS, cursor });
+});
+
+// GET /api/export/manifest?date=YYYY-MM-DD — Orders to deliver that day, grouped by barrio
+// (one sheet per barrio in XLSX)
+app.get('/api/export/manifest', requireRole('florist'), validate({ query: ExportFormat.extend({ date: zDate.optional() }) }), async (req, res) => {
+  const date = req.query.date || montevideoNow().date;
+
+  // Cash on delivery goes out unpaid, so those orders may still be pending
+  const payOnDelivery = Object.keys(PAYMENT_PROVIDERS).filter(m => PAYMENT_PROVIDERS[m].payOnDelivery);
+  const cursor = Order.find({
+    'customer.deliveryDate': date,
+    $or: [
+      { orderStatus: { $in: ['confirmed', 'preparing', 'shipped'] } },
+      { orderStatus: 'pending', paymentMethod: { $in: payOnDelivery } },
+    ],
+  })
+    .collation({ locale: 'es', strength: 1 })
+    .sort({ 'customer.barrio': 1, 'customer.deliverySlot': 1, orderId: 1 })
+    .lean()
+    .cursor();
+  await streamSpreadsheet(res, {
+    format: req.query.format,
+    filename: `reparto-${date}`,
+    columns: MANIFEST_COLUMNS,
+    cursor,
+    sheetOf: o => o.customer.barrio || 'Sin barrio',
+  });
+});
+
+// GET /api/export/leads?format&from&to&tag&source
+app.get('/api/export/leads', requireRole('marketing'), validate({ query: LeadExportQuery }), async (req, res) => {
+  const filter = {};
+  const { createdAt } = orderExportFilter({ from: req.query.from, to: req.query.to });
+  if (createdAt) filter.createdAt = createdAt;
+  if (req.query.tag) filter.tags = req.query.tag;
+  if (req.query.source) filter.source = req.query.source;
+
+  const cursor = Lead.find(filter).sort({ createdAt: 1 }).lean().cursor();
+  await streamSpreadsheet(res, { format: req.query.format, filename: 'leads', columns: LEAD_COLUMNS, cursor });
+});
+
+// GET /api/export/products?format&category&active=true|false
+app.get('/api/export/products', requireRole('florist'), validate({ query: ExportFormat.extend({ category: zText(60).optional(), active: zBoolean.optional() }) }), async (req, res) => {
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.active !== undefined) filter.active = req.query.active;
+
+  const cursor = Product.find(filter).sort({ sku: 1 }).lean().cursor();
+  await streamSpreadsheet(res, { format: req.query.format, filename: 'productos', columns: PRODUCT_COLUMNS, cursor });
+});
+
+// POST /api/import/leads?dryRun=true — CSV with email (required), name, tags (a;b), source.
+// Emails are matched lowercased, like they are stored (older leads: npm run
+// migrate:lead-emails); existing leads get their tags merged and unsubscribes are kept.
+app.post('/api/import/leads', requireRole('marketing'), csvBody, validate({ query: ImportQuery }), async (req, res) => {
+  const { dryRun } = req.query;
+  const rows = parseCsv(req.body);
+  const errors = [];
+  const byEmail = new Map();
+
+  for (const { line, data } of rows) {
+    const email = (data.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.push({ line, field: 'email', message: data.email ? 'Email inválido' : 'Falta el email' });
+      continue;
+    }
+    // Repeated rows in the file collapse into one lead
+    const lead = byEmail.get(email) || { email, tags: new Set() };
+    if (data.name) lead.name = data.name;
+    if (data.source) lead.source = data.source;
+    splitList(data.tags).forEach(t => lead.tags.add(t));
+    byEmail.set(email, lead);
+  }
+
+  const existing = await Lead.find({ email: { $in: [...byEmail.keys()] } }).select('email');
+  const existingEmails = new Set(existing.map(l => l.email));
+  const counts = {
+    created: [...byEmail.keys()].filter(e => !existingEmails.has(e)).length,
+    updated: [...byEmail.keys()].filter(e => existingEmails.has(e)).length,
+  };
+
+  if (!dryRun && !errors.length) {
+    for (const lead of byEmail.values()) {
+      const update = {
+        $addToSet: { tags: { $each: [...lead.tags] } },
+        $setOnInsert: { email: lead.email, source: lead.source || 'import', createdAt: new Date() },
+      };
+      if (lead.name) update.$set = { name: lead.name };
+      await Lead.updateOne({ email: lead.email }, update, { upsert: true });
+    }
+  }
+
+  importReport(res, { dryRun, rows: rows.length, ...counts, errors });
+});
+
+// POST /api/import/products?dryRun=true — CSV with the export's headers; upserts by sku.
+// New products need name and price; empty cells leave the current value untouched.
+app.post('/api/import/products', requireRole('florist'), csvBody, validate({ query: ImportQuery }), async (req, res) => {
+  const { dryRun } = req.query;
+  const rows = parseCsv(req.body);
+  const errors = [];
+  const updates = new Map();
+
+  const skus = rows.map(r => (r.data.sku || '').toUpperCase()).filter(Boolean);
+  const existingSkus = new Set((await Product.find({ sku: { $in: skus } }).select('sku')).map(p => p.sku));
+
+  for (const { line, data } of rows) {
+    const rowErrors = [];
+    const sku = (data.sku || '').toUpperCase();
+    if (!sku) rowErrors.push({ field: 'sku', message: 'Falta el SKU' });
+    else if (updates.has(sku)) rowErrors.push({ field: 'sku', message: `SKU repetido en el archivo (línea ${updates.get(sku).line})` });
+
+    const fields = {};
+    for (const key of ['name', 'description', 'category', 'emoji']) {
+      if (data[key]) fields[key] = data[key];
+    }
+    if (data.price) {
+      const price = Number(data.price.replace(',', '.'));
+      if (!Number.isFinite(price) || price < 0) rowErrors.push({ field: 'price', message: 'Precio inválido' });
+      else fields.price = price;
+    }
+    if (data.stock) {
+      const stock = Number(data.stock);
+      if (!Number.isInteger(stock) || stock < 0) rowErrors.push({ field: 'stock', message: 'Stock inválido' });
+      else fields.stock = stock;
+    }
+    if (data.active) {
+      const active = parseBoolean(data.active);
+      if (active === undefined) rowErrors.push({ field: 'active', message: 'Usar si/no' });
+      else fields.active = active;
+    }
+    if (data.images) fields.images = splitList(data.images);
+
+    if (sku && !existingSkus.has(sku)) {
+      if (!fields.name) rowErrors.push({ field: 'name', message: 'Producto nuevo sin nombre' });
+      if (fields.price === undefined) rowErrors.push({ field: 'price', message: 'Producto nuevo sin precio' });
+    }
+
+    errors.push(...rowErrors.map(e => ({ line, sku, ...e })));
+    if (sku && !updates.has(sku)) updates.set(sku, { line, fields });
+  }
+
+  const counts = {
+    created: [...updates.keys()].filter(s => !existingSkus.has(s)).length,
+    updated: [...updates.keys()].filter(s => existingSkus.has(s)).length,
+  };
+
+  if (!dryRun && !errors.length) {
+    for (const [sku, { fields }] of updates) {
+      await Product.updateOne(
+        { sku },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { upsert: true, runValidators: true }
+      );
+    }
+  }
+
+  importReport(res, { dryRun, rows: rows.length, ...counts, errors });
+});
+
 // ============================================================
 // HEALTH CHECK
 // ============================================================
 app.get('/health', (req, res) => res.json({ status: 'ok', timestamp: new Date() }));
 
 // ============================================================
-// START
+// ERROR HANDLING
 // ============================================================
-app.listen(PORT, () => {
-  console.log(`\n🌸 Flores&Boxes Backend running on port ${PORT}`);
-  console.log(`📊 Dashboard: http://localhost:${PORT}/dashboard.html`);
-  console.log(`🛒 Tienda:    http://localhost:${PORT}/index.html`);
+app.use('/api', (req, res) => sendError(res, 404, 'Ruta no encontrada'));
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    // Streaming response (exports): the file can only be cut short
+    console.error(`${req.method} ${req.originalUrl} (after headers):`, err);
+    return req.socket.destroy();
+  }
+
+  if (err instanceof z.ZodError) {
+    return sendError(res, 400, 'Datos inválidos', { code: 'validation_error', fields: fieldErrors(err) });
+  }
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.message, { code: err.code, fields: err.fields });
+  }
+  if (err.name === 'ValidationError') {
+    return sendError(res, 400, 'Datos inválidos', { code: 'validation_error', fields: fieldErrors(err) });
+  }
+  if (err.name === 'CastError') {
+    return sendError(res, 400, `Valor inválido para ${err.path}`, { code: 'invalid_value', fields: { [err.path]: err.message } });
+  }
+  if (err.code === 11000) {
+    return sendError(res, 409, 'Ya existe un registro con esos datos', { code: 'duplicate', fields: err.keyValue });
+  }
+  // body-parser: malformed JSON, body too large...
+  if (err.type && err.status) {
+    return sendError(res, err.status, err.type === 'entity.parse.failed' ? 'JSON inválido' : err.message, {
+      code: err.type.replace(/\./g, '_'),
+    });
+  }
+
+  console.error(`${req.method} ${req.originalUrl}:`, err);
+  sendError(res, 500, 'Error interno del servidor');
 });
 
+// ============================================================
+// START
+// ============================================================
+// Only when run directly (npm start): the tests require this file and get the app and
+// helpers without a database connection, a listening port or background jobs
+if (require.main === module) {
+  connectDatabase();
+
+  app.listen(PORT, () => {
+    console.log(`\n🌸 Flores&Boxes Backend running on port ${PORT}`);
+    console.log(`📊 Dashboard: http://localhost:${PORT}/dashboard.html`);
+    console.log(`🛒 Tienda:    http://localhost:${PORT}/index.html`);
+  });
+
+  // ===== BACKGROUND JOBS =====
+  setInterval(() => {
+    processQueue().catch(err => console.error('Queue error:', err));
+  }, QUEUE_POLL_MS);
+
+  setInterval(() => {
+    processScheduledCampaigns().catch(err => console.error('Campaign error:', err));
+  }, 60 * 1000);
+
+  setInterval(() => {
+    releaseIdleHandoffs().catch(err => console.error('Handoff sweep error:', err));
+  }, 60 * 1000);
+
+  setInterval(() => {
+    processAbandonedCheckouts().catch(err => console.error('Recovery job error:', err));
+  }, 5 * 60 * 1000);
+
+  setInterval(() => {
+    releaseExpiredReservations().catch(err => console.error('Reservation sweep error:', err));
+  }, 60 * 1000);
+}
+
 module.exports = app;
+// What the tests (test/) call and stub directly
+module.exports.internals = {
+  Product, Order, Coupon, Lead, WebhookEvent, MessageJob, EmailTemplate,
+  Chat, Customer, Counter, DeliveryZone, DeliverySettings,
+  mpPayment, mpRefund, ApiError, PAYMENT_PROVIDERS,
+  saveNewOrder, priceOrderItems, reserveStock, refundOrder, validateCoupon, sendRecovery, linkCustomer, botToolHandlers,
+};
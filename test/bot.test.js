@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  Product, Order, Chat, Customer, Counter, Lead, DeliveryZone, DeliverySettings, PAYMENT_PROVIDERS, botToolHandlers,
+} = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const args = {
+  name: 'Sofía', email: 'sofia@example.com', address: 'Av. Brasil 2500', barrio: 'Pocitos',
+  deliveryDate: new Date(Date.now() + 3 * DAY).toISOString().slice(0, 10),
+};
+
+// Everything checkout touches, with the orders and the chat's pendingOrder kept in memory
+function checkoutStore(t) {
+  const orders = new Map();
+  let seq = 0;
+  t.mock.method(Product, 'find', async () => [{ sku: 'RAMO-1', name: 'Ramo de rosas', price: 1500, active: true }]);
+  t.mock.method(Product, 'findOneAndUpdate', async () => ({}));
+  t.mock.method(DeliveryZone, 'findOne', async () => ({ name: 'Costa', shippingCost: 200, available: true, sameDay: true }));
+  t.mock.method(DeliverySettings, 'findOneAndUpdate', async () => ({
+    slots: [], sameDayCutoff: '14:00', closedWeekdays: [], blackoutDates: [], maxDaysAhead: 60,
+  }));
+  t.mock.method(Customer, 'findOne', async () => ({ addresses: [], save: async () => {} }));
+  t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: ++seq }));
+  t.mock.method(Order.prototype, 'save', async function () { orders.set(String(this._id), this); return this; });
+  t.mock.method(Order, 'findById', async id => orders.get(String(id)) || null);
+  t.mock.method(Lead, 'updateOne', async () => ({}));
+  t.mock.method(Chat, 'updateOne', async () => ({}));
+  t.mock.method(PAYMENT_PROVIDERS.mercadopago, 'startCheckout', async order => ({
+    paymentUrl: `https://mp.test/${order.orderId}`, fields: { mpInitPoint: `https://mp.test/${order.orderId}` },
+  }));
+  return orders;
+}
+
+// The pendingOrder create_order wrote before its n-th order
+const stored = n => Chat.updateOne.mock.calls[n].arguments[1].pendingOrder;
+
+describe('bot create_order', () => {
+  it('returns the same order when a retried message finds the cart again', async t => {
+    const orders = checkoutStore(t);
+    const chat = new Chat({ phone: 'whatsapp:+59899123456', cart: [{ sku: 'RAMO-1', qty: 1 }] });
+
+    const first = await botToolHandlers.create_order(args, chat);
+    // The chat save failed: the stored cart and pendingOrder come back on the retry
+    chat.cart = [{ sku: 'RAMO-1', qty: 1 }];
+    chat.pendingOrder = stored(0);
+    const retry = await botToolHandlers.create_order(args, chat);
+
+    assert.equal(retry.orderId, first.orderId);
+    assert.equal(retry.paymentLink, first.paymentLink);
+    assert.equal(orders.size, 1);
+  });
+
+  it('creates a new order when the customer orders the same cart again', async t => {
+    const orders = checkoutStore(t);
+    const chat = new Chat({ phone: 'whatsapp:+59899123456', cart: [{ sku: 'RAMO-1', qty: 1 }] });
+
+    const first = await botToolHandlers.create_order(args, chat);
+    assert.equal(chat.pendingOrder.orderRef, undefined);
+
+    chat.cart = [{ sku: 'RAMO-1', qty: 1 }];
+    const second = await botToolHandlers.create_order(args, chat);
+
+    assert.notEqual(second.orderId, first.orderId);
+    assert.equal(orders.size, 2);
+  });
+
+  it('never hands back an order that is no longer waiting for payment', async t => {
+    const orders = checkoutStore(t);
+    const chat = new Chat({ phone: 'whatsapp:+59899123456', cart: [{ sku: 'RAMO-1', qty: 1 }] });
+
+    const first = await botToolHandlers.create_order(args, chat);
+    orders.get(String(stored(0).orderRef)).paymentStatus = 'approved';
+    chat.cart = [{ sku: 'RAMO-1', qty: 1 }];
+    chat.pendingOrder = stored(0);
+    const second = await botToolHandlers.create_order(args, chat);
+
+    assert.notEqual(second.orderId, first.orderId);
+    assert.equal(orders.size, 2);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Coupon, Order, validateCoupon, rejectsWith } = require('./helpers');
+
+const customer = { name: 'Sofía', email: 'sofia@example.com' };
+const DAY = 24 * 60 * 60 * 1000;
+
+function stubCoupon(t, fields) {
+  const coupon = {
+    code: 'PROMO', type: 'percentage', value: 10, minSubtotal: 0, active: true,
+    maxUses: null, maxUsesPerCustomer: null, firstPurchaseOnly: false, timesUsed: 0,
+    ...fields,
+  };
+  t.mock.method(Coupon, 'findOne', async () => coupon);
+  return coupon;
+}
+
+describe('validateCoupon', () => {
+  it('looks the code up trimmed and uppercased', async t => {
+    stubCoupon(t);
+    await validateCoupon('  promo ', { subtotal: 1000, customer });
+    assert.deepEqual(Coupon.findOne.mock.calls[0].arguments[0], { code: 'PROMO' });
+  });
+
+  it('takes a percentage of the subtotal, to the cent', async t => {
+    stubCoupon(t, { value: 15 });
+    const { discount } = await validateCoupon('PROMO', { subtotal: 1999, customer });
+    assert.equal(discount, 299.85);
+  });
+
+  it('never discounts more than the subtotal', async t => {
+    stubCoupon(t, { type: 'fixed', value: 500 });
+    assert.equal((await validateCoupon('PROMO', { subtotal: 300, customer })).discount, 300);
+
+    t.mock.restoreAll();
+    stubCoupon(t, { type: 'percentage', value: 150 }); // Saved before percentages were capped
+    assert.equal((await validateCoupon('PROMO', { subtotal: 300, customer })).discount, 300);
+  });
+
+  it('rejects unknown, inactive, future and expired coupons', async t => {
+    t.mock.method(Coupon, 'findOne', async () => null);
+    await rejectsWith(validateCoupon('NOPE', { subtotal: 1000, customer }), 400, /Cupón inválido/);
+
+    t.mock.restoreAll();
+    stubCoupon(t, { active: false });
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1000, customer }), 400, /Cupón inválido/);
+
+    t.mock.restoreAll();
+    stubCoupon(t, { startsAt: new Date(Date.now() + DAY) });
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1000, customer }), 400, /todavía no está vigente/);
+
+    t.mock.restoreAll();
+    stubCoupon(t, { expiresAt: new Date(Date.now() - DAY) });
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1000, customer }), 400, /vencido/);
+  });
+
+  it('enforces the minimum purchase and the global limit', async t => {
+    stubCoupon(t, { minSubtotal: 2000 });
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1999, customer }), 400, /compra mínima de \$2000/);
+
+    t.mock.restoreAll();
+    stubCoupon(t, { maxUses: 3, timesUsed: 3 });
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1000, customer }), 400, /límite de usos/);
+  });
+
+  it('counts every order still holding the coupon toward the per-customer limit', async t => {
+    stubCoupon(t, { maxUsesPerCustomer: 1 });
+    t.mock.method(Order, 'countDocuments', async () => 0);
+    await validateCoupon('PROMO', { subtotal: 1000, customer });
+    assert.deepEqual(Order.countDocuments.mock.calls[0].arguments[0], {
+      'coupon.code': 'PROMO',
+      'customer.email': 'sofia@example.com',
+      'coupon.released': { $ne: true },
+    });
+
+    t.mock.restoreAll();
+    stubCoupon(t, { maxUsesPerCustomer: 1 });
+    t.mock.method(Order, 'countDocuments', async () => 1);
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1000, customer }), 400, /Ya usaste este cupón/);
+  });
+
+  it('keeps first-purchase coupons for customers without a paid order', async t => {
+    stubCoupon(t, { firstPurchaseOnly: true });
+    t.mock.method(Order, 'exists', async () => null);
+    await validateCoupon('PROMO', { subtotal: 1000, customer });
+    assert.deepEqual(Order.exists.mock.calls[0].arguments[0], {
+      'customer.email': 'sofia@example.com',
+      paymentStatus: { $in: ['approved', 'partially_refunded'] },
+    });
+
+    t.mock.restoreAll();
+    stubCoupon(t, { firstPurchaseOnly: true });
+    t.mock.method(Order, 'exists', async () => ({ _id: 'paid' }));
+    await rejectsWith(validateCoupon('PROMO', { subtotal: 1000, customer }), 400, /primera compra/);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Customer, linkCustomer } = require('./helpers');
+
+const checkout = {
+  name: 'Desconocido', email: 'Ana@Example.com', phone: '+59899000000', address: 'Rambla 1234', barrio: 'Malvín',
+};
+
+// Ana's account as Customer.findOne returns it
+function anasAccount(t) {
+  const account = {
+    _id: 'ana', email: 'ana@example.com', name: 'Ana', addresses: [],
+    save: t.mock.fn(async () => account),
+  };
+  t.mock.method(Customer, 'findOne', async () => account);
+  return account;
+}
+
+describe('linkCustomer', () => {
+  it('links a guest checkout to the account without touching it', async t => {
+    const account = anasAccount(t);
+
+    assert.equal(await linkCustomer(checkout), account);
+    assert.deepEqual(Customer.findOne.mock.calls[0].arguments[0], { email: 'ana@example.com' });
+    assert.deepEqual(account.addresses, []);
+    assert.equal(account.phone, undefined);
+    assert.equal(account.save.mock.callCount(), 0);
+  });
+
+  it('remembers the address when the checkout is signed in to that account', async t => {
+    const account = anasAccount(t);
+
+    await linkCustomer(checkout, account);
+    await linkCustomer({ ...checkout, address: ' rambla 1234 ' }, account); // Same address again
+
+    assert.equal(Customer.findOne.mock.callCount(), 0);
+    assert.deepEqual(account.addresses, [{ name: 'Desconocido', phone: '+59899000000', address: 'Rambla 1234', barrio: 'Malvín' }]);
+    assert.equal(account.phone, '+59899000000');
+  });
+
+  it('treats a session for another account as a guest checkout', async t => {
+    anasAccount(t);
+    const other = { email: 'otra@example.com', addresses: [], save: async () => assert.fail('saved') };
+
+    await linkCustomer(checkout, other);
+    assert.deepEqual(other.addresses, []);
+  });
+});
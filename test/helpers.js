@@ -0,0 +1,64 @@
+// Loads server.js for the tests. The credentials are dummies so the SDK clients can be
+// built; nothing connects to MongoDB, so each test stubs the model methods its path uses.
+// With command buffering off, a call a test forgot to stub fails at once instead of hanging.
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+Object.assign(process.env, {
+  OPENAI_API_KEY: 'test',
+  TWILIO_SID: `AC${'0'.repeat(32)}`,
+  TWILIO_AUTH: 'test',
+  MP_ACCESS_TOKEN: 'TEST-token',
+  MP_WEBHOOK_SECRET: 'test-webhook-secret',
+  SKIP_WEBHOOK_VERIFICATION: 'false',
+  PAYMENTS_MOCK: 'false',
+  EMAIL_LINK_SECRET: 'test-link-secret',
+  RECOVERY_COUPON_CODE: 'VOLVE10',
+  ORDER_PREFIX: 'fb', // Configured in lowercase, ids still come out as FB-...
+  SMTP_USER: 'tienda@example.com',
+  ADMIN_EMAIL: 'admin@example.com',
+  FRONTEND_URL: 'https://floresboxes.test',
+  BACKEND_URL: 'https://api.floresboxes.test',
+});
+mongoose.set('bufferCommands', false);
+
+const app = require('../server');
+const { internals } = app;
+
+// Queued emails and WhatsApps end up here; the queue worker never finds anything to send
+const outbox = [];
+mock.method(internals.MessageJob, 'create', async job => { outbox.push(job); return job; });
+mock.method(internals.MessageJob, 'updateMany', async () => ({}));
+mock.method(internals.MessageJob, 'countDocuments', async () => 0);
+mock.method(internals.MessageJob, 'findOneAndUpdate', async () => null);
+mock.method(internals.EmailTemplate, 'findOne', () => ({ lean: async () => null })); // File templates only
+
+// A saved order as the helpers get it from Mongo
+function fakeOrder(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    orderId: 'FB-2026-00001',
+    trackingToken: 'token',
+    customer: { name: 'Sofía', email: 'sofia@example.com', phone: '+59899123456', address: 'Av. Brasil 2500', barrio: 'Pocitos', deliveryDate: '2026-05-10' },
+    items: [{ sku: 'RAMO-1', name: 'Ramo', price: 1000, qty: 1 }],
+    subtotal: 1000, discount: 0, shipping: 0, total: 1000,
+    paymentMethod: 'mercadopago', paymentStatus: 'approved', orderStatus: 'confirmed',
+    refundedAmount: 0, refunds: [],
+    coupon: {},
+    async save() { return this; },
+    ...fields,
+  };
+}
+
+// Fails unless the promise rejects with an ApiError of that status (and message, if given)
+async function rejectsWith(promise, status, message) {
+  await assert.rejects(promise, err => {
+    assert.ok(err instanceof internals.ApiError);
+    assert.equal(err.status, status);
+    if (message) assert.match(err.message, message);
+    return true;
+  });
+}
+
+module.exports = { app, ...internals, outbox, fakeOrder, rejectsWith };
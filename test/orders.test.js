@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Product, Order, Counter, priceOrderItems, reserveStock, saveNewOrder, rejectsWith } = require('./helpers');
+
+const PRODUCTS = [
+  { sku: 'RAMO-1', name: 'Ramo de rosas', price: 1500, emoji: '🌹', active: true, stock: 5 },
+  { sku: 'BOX-1', name: 'Box de girasoles', price: 2200, emoji: '🌻', active: true, stock: 1 },
+  { sku: 'OLD-1', name: 'Ramo de temporada', price: 900, active: false, stock: 3 },
+];
+
+// Product collection kept in memory: the conditional $inc reserveStock relies on
+function stockStore(t) {
+  const stock = new Map(PRODUCTS.map(p => [p.sku, { ...p, reserved: 0 }]));
+  const apply = (product, inc) => {
+    for (const [field, by] of Object.entries(inc)) product[field] += by;
+  };
+  t.mock.method(Product, 'findOneAndUpdate', async (filter, update) => {
+    const product = stock.get(filter.sku);
+    if (!product || product.active !== filter.active || product.stock < filter.stock.$gte) return null;
+    apply(product, update.$inc);
+    return { ...product };
+  });
+  t.mock.method(Product, 'updateOne', async (filter, update) => {
+    apply(stock.get(filter.sku), update.$inc);
+    return { modifiedCount: 1 };
+  });
+  return stock;
+}
+
+describe('priceOrderItems', () => {
+  it('prices every item from the catalog, whatever the client sent', async t => {
+    t.mock.method(Product, 'find', async () => PRODUCTS);
+    const items = await priceOrderItems([
+      { sku: 'ramo-1', qty: 2, price: 1 },
+      { sku: 'BOX-1', qty: 1, name: 'Gratis' },
+    ]);
+    assert.deepEqual(items, [
+      { sku: 'RAMO-1', name: 'Ramo de rosas', price: 1500, emoji: '🌹', qty: 2 },
+      { sku: 'BOX-1', name: 'Box de girasoles', price: 2200, emoji: '🌻', qty: 1 },
+    ]);
+  });
+
+  it('rejects an empty cart', async () => {
+    await rejectsWith(priceOrderItems([]), 400, /no tiene productos/);
+  });
+
+  it('rejects unknown and inactive products', async t => {
+    t.mock.method(Product, 'find', async () => PRODUCTS);
+    await rejectsWith(priceOrderItems([{ sku: 'NOPE', qty: 1 }]), 400, /Producto desconocido: NOPE/);
+    await rejectsWith(priceOrderItems([{ sku: 'OLD-1', qty: 1 }]), 400, /no disponible/);
+  });
+
+  it('rejects quantities that are not positive integers', async t => {
+    t.mock.method(Product, 'find', async () => PRODUCTS);
+    for (const qty of [0, -1, 1.5, 'dos']) {
+      await rejectsWith(priceOrderItems([{ sku: 'RAMO-1', qty }]), 400, /Cantidad inválida/);
+    }
+  });
+});
+
+describe('reserveStock', () => {
+  it('moves the units of every item from stock to reserved', async t => {
+    const stock = stockStore(t);
+    await reserveStock([{ sku: 'RAMO-1', name: 'Ramo de rosas', qty: 2 }, { sku: 'BOX-1', name: 'Box de girasoles', qty: 1 }]);
+    assert.equal(stock.get('RAMO-1').stock, 3);
+    assert.equal(stock.get('RAMO-1').reserved, 2);
+    assert.equal(stock.get('BOX-1').stock, 0);
+    assert.equal(stock.get('BOX-1').reserved, 1);
+  });
+
+  it('holds nothing when one item is short', async t => {
+    const stock = stockStore(t);
+    await rejectsWith(
+      reserveStock([{ sku: 'RAMO-1', name: 'Ramo de rosas', qty: 2 }, { sku: 'BOX-1', name: 'Box de girasoles', qty: 2 }]),
+      409,
+      /Sin stock suficiente de Box de girasoles/
+    );
+    assert.equal(stock.get('RAMO-1').stock, 5);
+    assert.equal(stock.get('RAMO-1').reserved, 0);
+    assert.equal(stock.get('BOX-1').stock, 1);
+  });
+
+  it('never reserves an inactive product', async t => {
+    const stock = stockStore(t);
+    await rejectsWith(reserveStock([{ sku: 'OLD-1', name: 'Ramo de temporada', qty: 1 }]), 409);
+    assert.equal(stock.get('OLD-1').stock, 3);
+  });
+});
+
+describe('saveNewOrder', () => {
+  const duplicate = keyPattern => Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern });
+
+  it('numbers the order with the uppercased prefix and retries a taken number', async t => {
+    let seq = 41;
+    t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: ++seq }));
+    t.mock.method(console, 'warn', () => {});
+    const order = new Order({});
+    t.mock.method(order, 'save', async () => {
+      if (seq === 42) throw duplicate({ orderId: 1 });
+      return order;
+    });
+
+    await saveNewOrder(order);
+    assert.match(order.orderId, /^FB-\d{4}-00043$/);
+    assert.equal(order.save.mock.callCount(), 2);
+  });
+
+  it('fails at once when the _id is the duplicate', async t => {
+    t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 1 }));
+    const order = new Order({});
+    t.mock.method(order, 'save', async () => { throw duplicate({ _id: 1 }); });
+
+    await assert.rejects(saveNewOrder(order), { code: 11000 });
+    assert.equal(order.save.mock.callCount(), 1);
+    assert.equal(Counter.findOneAndUpdate.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Product, Coupon, PAYMENT_PROVIDERS, sendRecovery, fakeOrder } = require('./helpers');
+
+const unpaid = () => fakeOrder({
+  paymentStatus: 'pending', orderStatus: 'pending', createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+  reservation: { status: 'held', expiresAt: new Date(Date.now() - 60 * 1000) },
+  recovery: {},
+});
+
+// The recovery coupon with its use counter, as redeemCoupon and the rollback update it
+function couponStore(t) {
+  const coupon = {
+    _id: 'volve10', code: 'VOLVE10', type: 'percentage', value: 10, minSubtotal: 0, active: true,
+    maxUses: 100, maxUsesPerCustomer: null, firstPurchaseOnly: false, timesUsed: 0,
+  };
+  t.mock.method(Product, 'find', async () => [{ sku: 'RAMO-1', active: true, stock: 5 }]);
+  t.mock.method(Coupon, 'findOne', async () => coupon);
+  t.mock.method(Coupon, 'findOneAndUpdate', async (filter, update) => { coupon.timesUsed += update.$inc.timesUsed; return coupon; });
+  t.mock.method(Coupon, 'updateOne', async (filter, update) => { coupon.timesUsed += update.$inc.timesUsed; return {}; });
+  return coupon;
+}
+
+describe('sendRecovery', () => {
+  it('gives the coupon use back when the new payment link fails', async t => {
+    const coupon = couponStore(t);
+    t.mock.method(PAYMENT_PROVIDERS.mercadopago, 'startCheckout', async () => { throw new Error('MercadoPago down'); });
+
+    for (let retry = 0; retry < 3; retry++) {
+      await assert.rejects(sendRecovery(unpaid()), /MercadoPago down/);
+    }
+    assert.equal(coupon.timesUsed, 0);
+  });
+
+  it('keeps the use once the order references the coupon', async t => {
+    const coupon = couponStore(t);
+    t.mock.method(PAYMENT_PROVIDERS.mercadopago, 'startCheckout', async () => ({ fields: { mpInitPoint: 'https://mp.test/1' } }));
+    const order = unpaid();
+
+    await sendRecovery(order);
+
+    assert.equal(coupon.timesUsed, 1);
+    assert.equal(order.coupon.code, 'VOLVE10');
+    assert.equal(order.discount, 100);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, Lead, mpRefund, refundOrder, outbox, fakeOrder, rejectsWith } = require('./helpers');
+
+// The order in "Mongo": recordRefund $push/$inc, then the status transition and the stock release
+function orderStore(t, order) {
+  let stored = { ...order };
+  t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    if (update.$push && update.$push.refunds) {
+      const [[idField, value]] = Object.entries(filter).filter(([key]) => key.startsWith('refunds.'));
+      if (stored.refunds.some(r => r[idField.slice('refunds.'.length)] === value.$ne)) return null;
+      stored = {
+        ...stored,
+        refunds: [...stored.refunds, update.$push.refunds],
+        refundedAmount: stored.refundedAmount + update.$inc.refundedAmount,
+      };
+      return { ...stored, save: async function () { stored = { ...stored, paymentStatus: this.paymentStatus }; return this; } };
+    }
+    if (update.orderStatus) {
+      if (filter.orderStatus !== stored.orderStatus) return null;
+      stored = { ...stored, orderStatus: update.orderStatus };
+      return { ...stored };
+    }
+    return null; // Reservation / coupon already released
+  });
+  t.mock.method(Order, 'findById', async () => ({ ...stored })); // The refund was already recorded
+  t.mock.method(Order, 'exists', () => ({ collation: async () => null })); // refreshBuyerTag
+  t.mock.method(Lead, 'updateOne', async () => ({}));
+  return () => stored;
+}
+
+describe('refundOrder', () => {
+  beforeEach(() => { outbox.length = 0; });
+
+  it('refunds the whole remainder through MercadoPago and cancels the order', async t => {
+    const order = fakeOrder({ mpPaymentId: '123', total: 1000, refundedAmount: 200, paymentStatus: 'partially_refunded', refunds: [{ mpRefundId: 'r0', amount: 200 }] });
+    const current = orderStore(t, order);
+    t.mock.method(mpRefund, 'total', async () => ({ id: 991, amount: 800 }));
+    t.mock.method(mpRefund, 'create', async () => assert.fail('partial refund API used'));
+
+    const result = await refundOrder(order, { reason: 'Sin stock', by: 'owner@example.com', idempotencyKey: 'key-1' });
+
+    const [{ arguments: [request] }] = mpRefund.total.mock.calls;
+    assert.equal(request.payment_id, '123');
+    assert.equal(request.requestOptions.idempotencyKey, 'key-1');
+    assert.equal(result.orderStatus, 'cancelled');
+    assert.equal(current().paymentStatus, 'refunded');
+    assert.equal(current().refundedAmount, 1000);
+    assert.deepEqual(current().refunds[1], { mpRefundId: '991', amount: 800, reason: 'Sin stock', by: 'owner@example.com' });
+    assert.ok(outbox.some(job => job.payload.to === 'sofia@example.com' && /Reembolso/.test(job.payload.subject)));
+  });
+
+  it('refunds part of the payment without cancelling', async t => {
+    const order = fakeOrder({ mpPaymentId: '123' });
+    const current = orderStore(t, order);
+    t.mock.method(mpRefund, 'create', async ({ body }) => ({ id: 992, amount: body.amount }));
+
+    const result = await refundOrder(order, { amount: 250, by: 'owner@example.com' });
+
+    assert.equal(mpRefund.create.mock.calls[0].arguments[0].body.amount, 250);
+    assert.equal(result.orderStatus, 'confirmed');
+    assert.equal(current().paymentStatus, 'partially_refunded');
+    assert.equal(current().refundedAmount, 250);
+  });
+
+  it('refuses orders that are not paid and amounts over what is left', async t => {
+    t.mock.method(mpRefund, 'total', async () => assert.fail('refund API called'));
+    t.mock.method(mpRefund, 'create', async () => assert.fail('refund API called'));
+
+    await rejectsWith(refundOrder(fakeOrder({ paymentStatus: 'pending' }), {}), 400, /estado pending/);
+    await rejectsWith(refundOrder(fakeOrder({ paymentStatus: 'refunded' }), {}), 400, /estado refunded/);
+    await rejectsWith(
+      refundOrder(fakeOrder({ mpPaymentId: '123', refundedAmount: 600 }), { amount: 401 }),
+      400,
+      /hasta \$400 UYU/
+    );
+    await rejectsWith(refundOrder(fakeOrder({ mpPaymentId: '123' }), { amount: 0 }), 400, /Monto inválido/);
+  });
+
+  it('reports a MercadoPago failure as 502 and records nothing', async t => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(Order, 'findOneAndUpdate', async () => assert.fail('refund recorded'));
+    t.mock.method(mpRefund, 'total', async () => { throw new Error('payment not found'); });
+
+    await rejectsWith(refundOrder(fakeOrder({ mpPaymentId: '123' }), {}), 502, /MercadoPago: payment not found/);
+  });
+
+  it('records a transfer refund given back outside the system', async t => {
+    const order = fakeOrder({ paymentMethod: 'transfer' });
+    const current = orderStore(t, order);
+
+    await refundOrder(order, { amount: 300, by: 'owner@example.com', idempotencyKey: 'key-2' });
+
+    assert.deepEqual(current().refunds, [{ providerRefundId: 'manual:key-2', amount: 300, reason: undefined, by: 'owner@example.com' }]);
+    // Same key again (a double click): nothing new is recorded
+    await refundOrder({ ...order, refundedAmount: 300 }, { amount: 300, by: 'owner@example.com', idempotencyKey: 'key-2' });
+    assert.equal(current().refunds.length, 1);
+    assert.equal(current().refundedAmount, 300);
+  });
+});
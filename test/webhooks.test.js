@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const crypto = require('crypto');
+const assert = require('node:assert/strict');
+const { app, Order, WebhookEvent, mpPayment } = require('./helpers');
+
+let server;
+let baseUrl;
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+// Signed like MercadoPago does: HMAC of "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+function notify(paymentId, secret = process.env.MP_WEBHOOK_SECRET) {
+  const ts = String(Date.now());
+  const requestId = crypto.randomUUID();
+  const v1 = crypto.createHmac('sha256', secret).update(`id:${paymentId};request-id:${requestId};ts:${ts};`).digest('hex');
+  return fetch(`${baseUrl}/api/mp-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-signature': `ts=${ts},v1=${v1}`, 'x-request-id': requestId },
+    body: JSON.stringify({ type: 'payment', data: { id: paymentId } }),
+  });
+}
+
+// WebhookEvent's unique (provider, eventKey) index, in memory
+function eventStore(t) {
+  const claimed = new Set();
+  t.mock.method(WebhookEvent, 'create', async ({ provider, eventKey }) => {
+    const key = `${provider}:${eventKey}`;
+    if (claimed.has(key)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    claimed.add(key);
+  });
+  t.mock.method(WebhookEvent, 'deleteOne', async ({ provider, eventKey }) => {
+    claimed.delete(`${provider}:${eventKey}`);
+  });
+  return claimed;
+}
+
+function stubPayment(t, status) {
+  t.mock.method(mpPayment, 'get', async ({ id }) => ({
+    id, status, external_reference: 'FB-2026-00001', transaction_amount: 1000,
+  }));
+}
+
+describe('MercadoPago webhook', () => {
+  it('processes a repeated notification once', async t => {
+    eventStore(t);
+    stubPayment(t, 'approved');
+    t.mock.method(Order, 'findOne', async () => null); // First step of applyPaymentResult
+
+    assert.equal((await notify('555')).status, 200);
+    assert.equal((await notify('555')).status, 200);
+    assert.equal(Order.findOne.mock.callCount(), 1);
+  });
+
+  it('processes each new status of the same payment', async t => {
+    eventStore(t);
+    t.mock.method(Order, 'findOne', async () => null);
+
+    stubPayment(t, 'pending');
+    await notify('556');
+    stubPayment(t, 'approved');
+    await notify('556');
+    assert.equal(Order.findOne.mock.callCount(), 2);
+  });
+
+  it('drops the claim when processing fails, so the retry runs', async t => {
+    const claimed = eventStore(t);
+    stubPayment(t, 'approved');
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(Order, 'findOne', async () => { throw new Error('db down'); });
+
+    assert.equal((await notify('557')).status, 500);
+    assert.equal(claimed.size, 0);
+
+    t.mock.method(Order, 'findOne', async () => null);
+    assert.equal((await notify('557')).status, 200);
+    assert.equal(claimed.size, 1);
+  });
+
+  it('rejects notifications with a bad signature', async t => {
+    stubPayment(t, 'approved');
+    const res = await notify('558', 'not-the-secret');
+    assert.equal(res.status, 401);
+    assert.equal(mpPayment.get.mock.callCount(), 0);
+  });
+});